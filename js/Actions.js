@@ -4,4 +4,24 @@ exports.upload = exports.u = 'upload';
 
 exports.list = exports.l = 'list';
 
+exports.checkout = exports.co = 'checkout';
+
+exports.checkin = exports.ci = 'checkin';
+
+exports.cancelcheckout = exports.cc = 'cancelcheckout';
+
+exports.status = exports.s = 'status';
+
+exports.diff = 'diff';
+
+exports.sync = 'sync';
+
+exports.history = 'history';
+
+exports.revert = 'revert';
+
+exports.query = 'query';
+
+exports.watch = exports.w = 'watch';
+
 
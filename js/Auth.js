@@ -0,0 +1,241 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var fs = require('fs');
+var path = require('path');
+var Transport = require('./Transport');
+var CmisError = require('./CmisError');
+
+var USERNAME_VAR = 'CMIS_USERNAME';
+var PASSWORD_VAR = 'CMIS_PASSWORD';
+var TOKEN_VAR = 'CMIS_TOKEN';
+
+// Alfresco login tickets obtained during this run, by login url and username
+var tickets = {};
+
+function defaultNetrcFile() {
+    var home = process.env.HOME || process.env.USERPROFILE || '';
+    return path.join(home, process.platform === 'win32' ? '_netrc' : '.netrc');
+}
+
+/**
+ * Finds login and password for the host in netrc file.
+ *
+ * @return {login, password} or null if there is no entry for the host
+ */
+function readNetrc(netrcFile, host) {
+    if (!fs.existsSync(netrcFile)) {
+        return null;
+    }
+    var tokens = fs.readFileSync(netrcFile, 'utf8').split(/\s+/);
+    var entries = {};
+    var entry = null;
+    for (var i = 0; i < tokens.length; i++) {
+        if (tokens[i] === 'machine') {
+            entry = entries[tokens[++i]] = {};
+        } else if (tokens[i] === 'default') {
+            entry = entries[''] = {};
+        } else if (entry && (tokens[i] === 'login' || tokens[i] === 'password')) {
+            entry[tokens[i]] = tokens[++i];
+        }
+    }
+    return entries[host] || entries[''] || null;
+}
+
+/**
+ * Username and password from options, environment variables or netrc file, in that order.
+ */
+function findCredentials(options) {
+    if (options.username != null) {
+        return {username: options.username, password: options.password};
+    }
+    if (process.env[USERNAME_VAR] != null) {
+        return {username: process.env[USERNAME_VAR], password: process.env[PASSWORD_VAR]};
+    }
+    var entry = readNetrc(options.netrc || defaultNetrcFile(), url.parse(options.url).hostname);
+    if (entry) {
+        return {username: entry.login, password: entry.password};
+    }
+    return {};
+}
+
+// Alfresco login web script, next to CMIS endpoint: http://host/alfresco/service/api/login
+function defaultLoginUrl(cmisUrl) {
+    var parsed = url.parse(cmisUrl);
+    var webapp = parsed.pathname.split('/')[1];
+    return parsed.protocol + '//' + parsed.host + '/' + webapp + '/service/api/login';
+}
+
+function appendQuery(requestPath, name, value) {
+    return requestPath + (requestPath.indexOf('?') === -1 ? '?' : '&') + name + '=' + encodeURIComponent(value);
+}
+
+/**
+ * Obtains Alfresco login ticket.
+ *
+ * @param callback - function(err, ticket)
+ */
+function requestTicket(loginUrl, credentials, callback) {
+    var requestOptions = url.parse(loginUrl);
+    requestOptions.method = 'POST';
+    requestOptions.headers = {'Content-Type': 'application/json'};
+    requestOptions.agent = Transport.getAgent(requestOptions);
+    var transport = requestOptions.protocol === 'https:' ? https : http;
+
+    var request = transport.request(requestOptions, function(response) {
+        var body = '';
+        response.setEncoding('utf8');
+        response.on('data', function(chunk) {
+            body += chunk;
+        });
+        response.on('end', function() {
+            if (response.statusCode !== 200) {
+                callback(CmisError.fromResponse(response, loginUrl, 'login failed'));
+                return;
+            }
+            try {
+                callback(null, JSON.parse(body).data.ticket);
+            } catch (e) {
+                callback('login failed: unexpected response from ' + loginUrl);
+            }
+        });
+    });
+    request.on('error', function(e) {
+        callback(CmisError.fromNetworkError(e, loginUrl, 'login failed'));
+    });
+    request.end(JSON.stringify({username: credentials.username, password: credentials.password}));
+}
+
+/**
+ * Basic authentication with username and password
+ */
+function basicAuth(options) {
+    var credentials = findCredentials(options);
+
+    return {
+        login: function(callback) {
+            callback();
+        },
+        authorizeSession: function(cmisSession) {
+            Transport.setRequestDecorator(null);
+            cmisSession.setCredentials(credentials.username, credentials.password);
+        },
+        authorizeRequest: function(requestOptions) {
+            if (credentials.username != null) {
+                requestOptions.auth = credentials.username + ':' + credentials.password;
+            }
+        }
+    };
+}
+
+/**
+ * Bearer token sent in Authorization header
+ */
+function tokenAuth(options) {
+    var token = options.token || process.env[TOKEN_VAR];
+
+    function authorization() {
+        return 'Bearer ' + token;
+    }
+
+    return {
+        login: function(callback) {
+            if (!token) {
+                callback('no token found: set token option or ' + TOKEN_VAR + ' environment variable');
+                return;
+            }
+            callback();
+        },
+        authorizeSession: function() {
+            Transport.setRequestDecorator(function(request) {
+                request.set('Authorization', authorization());
+            });
+        },
+        authorizeRequest: function(requestOptions) {
+            requestOptions.headers = requestOptions.headers || {};
+            requestOptions.headers.Authorization = authorization();
+        }
+    };
+}
+
+/**
+ * Alfresco login ticket, obtained once per run and sent as alf_ticket parameter
+ */
+function ticketAuth(options) {
+    var credentials = findCredentials(options);
+    var loginUrl = options.loginUrl || defaultLoginUrl(options.url);
+    var key = loginUrl + ' ' + credentials.username;
+
+    function getTicket() {
+        return tickets[key] && tickets[key].ticket;
+    }
+
+    return {
+        login: function(callback) {
+            if (tickets[key] == null) {
+                tickets[key] = {waiting: []};
+                requestTicket(loginUrl, credentials, function(err, ticket) {
+                    var waiting = tickets[key].waiting;
+                    if (err) {
+                        // next login attempt tries again
+                        delete tickets[key];
+                    } else {
+                        tickets[key] = {ticket: ticket};
+                    }
+                    waiting.forEach(function(waitingCallback) {
+                        waitingCallback(err);
+                    });
+                });
+            }
+            if (tickets[key].waiting) {
+                tickets[key].waiting.push(callback);
+            } else {
+                callback();
+            }
+        },
+        authorizeSession: function() {
+            Transport.setRequestDecorator(function(request) {
+                request.query({alf_ticket: getTicket()});
+            });
+        },
+        authorizeRequest: function(requestOptions) {
+            requestOptions.path = appendQuery(requestOptions.path, 'alf_ticket', getTicket());
+        }
+    };
+}
+
+var providers = {
+    basic: basicAuth,
+    token: tokenAuth,
+    ticket: ticketAuth
+};
+
+/**
+ * Factory method creates authentication provider selected by options.auth:
+ * 'basic' (default), 'token' or 'ticket'.
+ *
+ * Username and password are taken from options.username and options.password, or from CMIS_USERNAME and
+ * CMIS_PASSWORD environment variables, or from netrc file (options.netrc, ~/.netrc by default) entry for CMS host.
+ * Token is taken from options.token or CMIS_TOKEN environment variable.
+ *
+ * @param options - options object provided in task config
+ * @returns {
+ *      login: function(callback) - obtains credentials, if needed; must be called before sending requests,
+ *      authorizeSession: function(cmisSession),
+ *      authorizeRequest: function(requestOptions) - authorizes options of http request for content stream
+ * }
+ */
+exports.create = function(options) {
+    var type = options.auth || 'basic';
+    if (!providers.hasOwnProperty(type)) {
+        throw new Error("Invalid auth: " + type);
+    }
+    return providers[type](options);
+};
@@ -0,0 +1,138 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var async = require('async');
+var grunt = require('grunt');
+var versionRegistry = require('./VersionRegistry');
+var RunReport = require('./RunReport');
+var CmisError = require('./CmisError');
+var DocumentFetcher = require('./DocumentFetcher');
+var Pruner = require('./Pruner');
+
+// values of repository capabilityChanges that tell change log includes documents
+var CAPABILITIES = ['objectidsonly', 'properties', 'all'];
+
+/**
+ * @argument {Object} repository - repository info, as loaded by cmis session
+ * @return true if repository keeps change log
+ */
+exports.isSupported = function(repository) {
+    var capabilities = repository.capabilities || {};
+    return CAPABILITIES.indexOf(capabilities.capabilityChanges) !== -1;
+};
+
+/**
+ * Factory method creates ChangeLog object.
+ *
+ * Downloads documents created or updated in CMS since change log token of the previous download,
+ * instead of comparing every document in the folder. With options.prune, it also deletes local files
+ * of documents deleted in CMS since then.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @returns {
+ *      downloadChanges: function(cmisPath, localPath, changeLogToken, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+    var documentFetcher = DocumentFetcher.create(cmisSession, options);
+
+    /**
+     * Gets all pages of content changes since the token.
+     * Calls back with error message if change log can't be used, e.g. token is too old.
+     */
+    function getChanges(changeLogToken, changes, callback) {
+        cmisSession.getContentChanges(changeLogToken, true).ok(function(result) {
+            changes = changes.concat(result.objects || []);
+            if (!result.hasMoreItems) {
+                callback(null, changes);
+                return;
+            }
+            if (result.changeLogToken == null || result.changeLogToken === changeLogToken) {
+                callback('repository did not tell where next page of changes starts');
+                return;
+            }
+            getChanges(result.changeLogToken, changes, callback);
+        }).notOk(function(response) {
+            callback(String(CmisError.fromResponse(response, null, 'failed to get changes')));
+        }).error(function(err) {
+            callback(String(CmisError.fromNetworkError(err, null, 'failed to get changes')));
+        });
+    }
+
+    // latest change of each document: [{documentId, changeType}], in the order of changes
+    function latestChanges(changes) {
+        var changeTypes = {};
+        var objectIds = [];
+        changes.forEach(function(change) {
+            var properties = change.succinctProperties || {};
+            var objectId = properties['cmis:objectId'];
+            if (objectId == null || change.changeEventInfo == null) {
+                return;
+            }
+            // versions of the document share node ref, e.g. workspace://SpacesStore/c0ffee;1.2
+            var documentId = properties['alfcmis:nodeRef'] || objectId.split(';')[0];
+            if (changeTypes[documentId] == null) {
+                objectIds.push(documentId);
+            }
+            changeTypes[documentId] = change.changeEventInfo.changeType;
+        });
+        return objectIds.map(function(documentId) {
+            return {documentId: documentId, changeType: changeTypes[documentId]};
+        });
+    }
+
+    function deleteLocalFile(localPath, documentId, callback) {
+        var filePath = versionRegistry.getLocalFile(documentId);
+        if (options.prune !== true || filePath == null || filePath.indexOf(localPath + '/') !== 0 || !grunt.file.isFile(filePath)) {
+            callback();
+            return;
+        }
+
+        var done = RunReport.track(filePath, options, callback);
+        Pruner.deleteLocalFile(filePath, documentId, options, function(err) {
+            done(err);
+        });
+    }
+
+    return {
+        /**
+         * Downloads documents in cmisPath folder changed since the token.
+         *
+         * @argument {String} cmisPath
+         * @argument {String} localPath
+         * @argument {String} changeLogToken - latest change log token at the time of previous download
+         * @argument {Function} callback - called with error, or with false if change log can't be used
+         */
+        downloadChanges: function(cmisPath, localPath, changeLogToken, callback) {
+            getChanges(changeLogToken, [], function(err, changes) {
+                if (err) {
+                    grunt.log.error('Change log is not available:', err);
+                    grunt.log.ok('Processing all documents');
+                    callback(null, false);
+                    return;
+                }
+
+                var documents = latestChanges(changes);
+                grunt.log.ok(documents.length, documents.length === 1 ? 'document' : 'documents', 'changed in CMS since last download');
+
+                async.eachSeries(documents, function(document, done) {
+                    if (document.changeType === 'deleted') {
+                        deleteLocalFile(localPath, document.documentId, done);
+                    } else if (document.changeType === 'created' || document.changeType === 'updated') {
+                        documentFetcher.downloadDocument(cmisPath, localPath, document.documentId, done);
+                    } else {
+                        // security changes don't change content
+                        done();
+                    }
+                }, function(err) {
+                    callback(err, err == null);
+                });
+            });
+        }
+    };
+};
@@ -0,0 +1,121 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var fs = require('fs');
+var grunt = require('grunt');
+var versionRegistry = require('./VersionRegistry');
+var cmisFilePropertiesFactory = require('./CmisFileProperties');
+var CmisError = require('./CmisError');
+var RunReport = require('./RunReport');
+
+/**
+ * Factory method creates Checkout object.
+ *
+ * Private working copy (PWC) ids obtained on checkout are tracked in VersionRegistry,
+ * so checkin and cancelcheckout can be run later, in a separate grunt run.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ *      options.comment - checkin comment
+ *      options.major - if true, checkin creates major version, otherwise minor
+ * @returns {
+ *      checkoutFile: function(localDir, cmisFileProperties, callback),
+ *      checkinFile: function(localDir, cmisFileProperties, callback),
+ *      cancelCheckoutFile: function(localDir, cmisFileProperties, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+
+    function getWorkingCopyProperties(workingCopy) {
+        return cmisFilePropertiesFactory.fromObject(workingCopy);
+    }
+
+    return {
+        checkoutFile: function(localDir, cmisFileProperties, callback) {
+            var filepath = localDir + '/' + cmisFileProperties.getName();
+
+            if (versionRegistry.getWorkingCopy(cmisFileProperties.getNodeId())) {
+                grunt.log.error("Can't check out", filepath, "- already checked out.");
+                RunReport.skipped(filepath, 'already checked out');
+                callback();
+                return;
+            }
+
+            cmisSession.checkOut(cmisFileProperties.getObjectId()).ok(function(workingCopy) {
+                var workingCopyId = getWorkingCopyProperties(workingCopy).getObjectId();
+                versionRegistry.setWorkingCopy(cmisFileProperties.getNodeId(), workingCopyId);
+                grunt.log.ok("checked out", filepath);
+                callback();
+            }).notOk(function(response) {
+                callback(CmisError.fromResponse(response, filepath, 'failed to check out'));
+            });
+        },
+        checkinFile: function(localDir, cmisFileProperties, callback) {
+            var filepath = localDir + '/' + cmisFileProperties.getName();
+            var workingCopyId = versionRegistry.getWorkingCopy(cmisFileProperties.getNodeId());
+
+            if (!workingCopyId) {
+                grunt.log.error("Can't check in", filepath, "- not checked out.");
+                RunReport.skipped(filepath, 'not checked out');
+                callback();
+                return;
+            }
+
+            // dont check in if version doesnt match
+            if (!versionRegistry.hasVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion())) {
+                grunt.log.error("Can't check in", filepath, "- out of sync. Please download latest version.");
+                RunReport.skipped(filepath, 'out of sync');
+                callback();
+                return;
+            }
+
+            fs.readFile(filepath, function(err, data) {
+                if (err) {
+                    callback('unable to read file ' + filepath);
+                    return;
+                }
+
+                var major = options.major === true;
+                cmisSession.checkIn(workingCopyId, major, null, data, options.comment, null, null, null, {mimeType: cmisFileProperties.getMimeType()}).ok(function() {
+                    versionRegistry.removeWorkingCopy(cmisFileProperties.getNodeId());
+
+                    // track new version
+                    cmisFileProperties.getLatestVersion(cmisSession, function(err, newVersion, latestProperties) {
+                        if (err) {
+                            grunt.log.error("Could not refresh file version", filepath, err);
+                        } else {
+                            versionRegistry.setVersion(cmisFileProperties.getNodeId(), newVersion, filepath, data, latestProperties);
+                        }
+                        grunt.log.ok("checked in", filepath);
+                        callback();
+                    });
+                }).notOk(function(response) {
+                    callback(CmisError.fromResponse(response, filepath, 'failed to check in'));
+                });
+            });
+        },
+        cancelCheckoutFile: function(localDir, cmisFileProperties, callback) {
+            var filepath = localDir + '/' + cmisFileProperties.getName();
+            var workingCopyId = versionRegistry.getWorkingCopy(cmisFileProperties.getNodeId());
+
+            if (!workingCopyId) {
+                grunt.log.error("Can't cancel checkout", filepath, "- not checked out.");
+                RunReport.skipped(filepath, 'not checked out');
+                callback();
+                return;
+            }
+
+            cmisSession.cancelCheckOut(workingCopyId).ok(function() {
+                versionRegistry.removeWorkingCopy(cmisFileProperties.getNodeId());
+                grunt.log.ok("cancelled checkout", filepath);
+                callback();
+            }).notOk(function(response) {
+                callback(CmisError.fromResponse(response, filepath, 'failed to cancel checkout'));
+            });
+        }
+    };
+};
@@ -12,6 +12,25 @@ var actions = require('./Actions');
 var createFileProcessor = require('./FilePorcessor');
 var createLegacyFileProcessor = require('./FilePorcessorLegacyApi');
 var VersionRegistry = require('./VersionRegistry');
+var ContentCreator = require('./ContentCreator');
+var Pruner = require('./Pruner');
+var StatusReport = require('./StatusReport');
+var DiffReport = require('./DiffReport');
+var syncStates = require('./SyncStates');
+var LocalFiles = require('./LocalFiles');
+var Watcher = require('./Watcher');
+var PathFilter = require('./PathFilter');
+var RequestQueue = require('./RequestQueue');
+var Transport = require('./Transport');
+var Auth = require('./Auth');
+var Retry = require('./Retry');
+var CmisError = require('./CmisError');
+var RunReport = require('./RunReport');
+var ChangeLog = require('./ChangeLog');
+var History = require('./History');
+var Query = require('./Query');
+var cmisFilePropertiesFactory = require('./CmisFileProperties');
+var async = require('async');
 
 function removeTrailingSlash(path) {
     return path.charAt(path.length - 1) === '/' ? path.substring(0, path.length - 1) : path;
@@ -26,7 +45,12 @@ function trimSlashes(path) {
 }
 
 exports.create = function(options, pathArg, actionArg) {
-    var cmisSession = cmis.createSession(options.url);
+    Transport.configure(options);
+    Retry.configure(options);
+
+    // all requests go through the queue, so no more than options.concurrency of them are in flight
+    RequestQueue.setConcurrency(options.concurrency);
+    var cmisSession = RequestQueue.queueSession(cmis.createSession(options.url));
     var cmisPath = removeTrailingSlash(options.cmisRoot);
     var localPath = removeTrailingSlash(options.localRoot);
     var action = actions.download; // default action
@@ -46,67 +70,391 @@ exports.create = function(options, pathArg, actionArg) {
         }
     }
 
-    cmisSession.setCredentials(options.username, options.password);
+    // dry run only compares content, reporting what would be uploaded or downloaded
+    if (options.dryRun === true && action !== actions.upload && action !== actions.download) {
+        throw new Error("Dry run is not supported for action: " + action);
+    }
+
+    // version label: download (or revert to) that version of the document
+    if (action === actions.revert && options.version == null) {
+        throw new Error("Version is required for action: " + action);
+    }
+    if (options.version != null && action !== actions.download && action !== actions.revert) {
+        throw new Error("Version is not supported for action: " + action);
+    }
+
+    // query statement, and whether to download the results
+    if (action === actions.query && !options.query) {
+        throw new Error("Query is required for action: " + action);
+    }
+    if (options.downloadResults === true && action !== actions.query) {
+        throw new Error("Download flag is not supported for action: " + action);
+    }
+
+    // upload (or sync) mode that also creates documents and folders that don't exist in CMS
+    var createNewContent = (action === actions.upload || action === actions.sync) && options.create === true;
+
+    // actions that only report on content don't print run report, unless something failed,
+    // and only read version registry, so they can run while another run holds its lock
+    var reportsRun = action !== actions.list && action !== actions.status && action !== actions.diff && action !== actions.history &&
+        (action !== actions.query || options.downloadResults === true);
+    var loadRegistry = reportsRun ? VersionRegistry.load : VersionRegistry.read;
+
+    var auth = Auth.create(options);
+    auth.authorizeSession(cmisSession);
 
     /**
-     * @param callback - to be called with error or with no parameters if successful
+     * @param taskCallback - to be called with error or with no parameters if successful
      */
-    function runTask(callback) {
+    function runTask(taskCallback) {
+        var callback = reportFailures(reportRun(taskCallback));
+        RunReport.reset();
 
         // set global (default) error handlers
         function notOkHandler(response) {
-            var status = response.statusCode ? response.statusCode : "";
-            var error = response.error ? response.error : "";
-            callback('request failed: ' + status + " " + cmisPath + "\n" + error);
+            callback(CmisError.fromResponse(response, cmisPath, 'request failed'));
         }
         function errorHandler(err) {
-            callback('problem with request: ' + err.message);
+            callback(CmisError.fromNetworkError(err, cmisPath, 'request failed'));
         }
         cmisSession.setGlobalHandlers(notOkHandler, errorHandler);
 
         grunt.log.ok('Connecting to', options.url);
+        auth.login(function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            loadRepositories(callback);
+        });
+    }
+
+    function loadRepositories(callback) {
         cmisSession.loadRepositories().ok(function() {
-            if (action === actions.list) {
-                grunt.log.ok('Listing contents of', cmisPath);
-                grunt.log.write('Gatherting info...');
+            loadRegistry(options, cmisSession.defaultRepository.repositoryId, function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                processContent(callback);
+            });
+        });
+    }
+
+    /**
+     * Lists, transfers or compares content, depending on action
+     */
+    function processContent(callback) {
+        if (action === actions.watch) {
+            if (!grunt.file.exists(localPath)) {
+                callback('nothing to watch: ' + localPath + ' does not exist');
+                return;
+            }
+            // keep watching (using this session) until interrupted
+            Watcher.create(cmisSession, options, cmisPath, localPath).start();
+            return;
+        }
+
+        if (action === actions.list) {
+            grunt.log.ok('Listing contents of', cmisPath);
+            grunt.log.write('Gatherting info...');
+        } else if (action === actions.history) {
+            grunt.log.ok('Getting versions of', cmisPath);
+        } else if (action === actions.query) {
+            grunt.log.ok('Running query', options.query);
+        } else {
+            grunt.log.ok('Detecting changes...');
+        }
+
+        cmisSession.getObjectByPath(cmisPath).ok(function(object) {
+            // legacy CMIS returns empty collection for a document
+            var isDocument = object.succinctProperties ? cmisFilePropertiesFactory(object).isDocument() : object.objects == null;
+
+            if (options.version != null && !isDocument) {
+                callback('version ' + options.version + ' can only be used with a document, ' + cmisPath + ' is a folder');
+                return;
+            }
+
+            if (action === actions.query) {
+                runQuery(object, isDocument, callback);
+                return;
+            }
+
+            if (usesChangeLog(object, isDocument)) {
+                downloadChanges(object, isDocument, callback);
             } else {
-                grunt.log.ok('Detecting changes...');
+                processTree(object, isDocument, callback);
+            }
+        }).notOk(function(response) {
+            if (response.statusCode === 404 && createNewContent) {
+                // nothing in CMS yet - create it all
+                finishTask({documents: [], files: {}, folders: {}}, false, callback);
+                return;
             }
+            callback(CmisError.fromResponse(response, cmisPath, 'failed to get content'));
+        });
+    }
 
-            cmisSession.getObjectByPath(cmisPath).ok(function(object) {
-                var fileProcessor;
-                if (object.succinctProperties) {
-                    // current CMIS
-                    fileProcessor = createFileProcessor(cmisSession, options, cmisPath, localPath, action);
-                } else {
-                    // legacy CMIS
-                    fileProcessor = createLegacyFileProcessor(cmisSession, options, cmisPath, localPath, action);
-                }
+    /**
+     * Processes every document in cmisPath (or the document, if cmisPath is a document)
+     */
+    function processTree(object, isDocument, callback) {
+        var fileProcessor;
+        if (object.succinctProperties) {
+            // current CMIS
+            fileProcessor = createFileProcessor(cmisSession, options, cmisPath, localPath, action);
+        } else {
+            // legacy CMIS
+            fileProcessor = createLegacyFileProcessor(cmisSession, options, cmisPath, localPath, action);
+        }
+
+        fileProcessor.process(object, function(err) {
+            if (err) {
+                grunt.log.error();
+                grunt.log.error(err);
+                callback(err);
+                return;
+            }
+
+            if (action === actions.list) {
+                console.log();
+                fileProcessor.documents.sort().forEach(function(doc) {
+                    console.log(removeLeadingSlash(doc));
+                });
+                callback();
+                return;
+            }
+
+            if (action === actions.status) {
+                reportStatus(fileProcessor, isDocument, callback);
+                return;
+            }
 
-                fileProcessor.process(object, function(err) {
+            if (action === actions.sync) {
+                finishTask(fileProcessor, isDocument, function(err) {
                     if (err) {
-                        grunt.log.error();
-                        grunt.log.error(err);
                         callback(err);
                         return;
                     }
-
-                    if (action === actions.list) {
-                        console.log();
-                        fileProcessor.documents.sort().forEach(function(doc) {
-                            console.log(removeLeadingSlash(doc));
-                        });
-                    }else{
-                        VersionRegistry.save();
-                    }
-                    callback();
+                    failOnConflicts(countConflicts(fileProcessor.statuses), callback);
                 });
+                return;
+            }
+
+            if (action === actions.diff) {
+                DiffReport.print(fileProcessor.diffs);
+                callback();
+                return;
+            }
+
+            if (action === actions.history) {
+                History.print(fileProcessor.histories, options.json);
+                callback();
+                return;
+            }
+
+            finishTask(fileProcessor, isDocument, callback);
+        });
+    }
+
+    /**
+     * Prints results of the query, downloading the ones in cmisPath folder if options.downloadResults is true
+     */
+    function runQuery(object, isDocument, callback) {
+        // results are read from succinct properties, which legacy (AtomPub) binding doesn't send
+        if (object.succinctProperties == null) {
+            callback(Query.BROWSER_BINDING_REQUIRED);
+            return;
+        }
+        if (isDocument) {
+            callback('query results can only be mapped to a folder, ' + cmisPath + ' is a document');
+            return;
+        }
 
-            }).notOk(function(response) {
-                var status = response.statusCode ? response.statusCode : "";
-                var error = response.error ? response.error : "";
-                callback('failed to get content: ' + status + " " + cmisPath + "\n" + error);
+        var query = Query.create(cmisSession, options);
+        query.run(options.query, function(err, results) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            Query.print(results, options.json);
+            if (options.downloadResults !== true) {
+                callback();
+                return;
+            }
+            query.download(cmisPath, localPath, results, function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                VersionRegistry.save();
+                callback();
+            });
+        });
+    }
+
+    // download of a folder can skip documents not changed since the previous one, if repository keeps change log
+    function usesChangeLog(object, isDocument) {
+        return action === actions.download && options.dryRun !== true && options.changeLog !== false &&
+            object.succinctProperties != null && !isDocument && ChangeLog.isSupported(cmisSession.defaultRepository);
+    }
+
+    /**
+     * Downloads documents changed since change log token of the previous download,
+     * or all documents if there was no previous download, or change log can't be used.
+     * Keeps latest change log token for the next download, if all documents were downloaded.
+     */
+    function downloadChanges(object, isDocument, callback) {
+        var latestToken = cmisSession.defaultRepository.latestChangeLogToken;
+        var previousToken = VersionRegistry.getChangeLogToken(cmisPath);
+
+        function keepToken(err) {
+            if (err == null && latestToken != null && RunReport.getFailures().length === 0) {
+                VersionRegistry.setChangeLogToken(cmisPath, latestToken);
+                VersionRegistry.save();
+            }
+            callback(err);
+        }
+
+        if (previousToken == null) {
+            processTree(object, isDocument, keepToken);
+            return;
+        }
+
+        ChangeLog.create(cmisSession, options).downloadChanges(cmisPath, localPath, previousToken, function(err, applied) {
+            if (err || applied) {
+                keepToken(err);
+                return;
+            }
+            processTree(object, isDocument, keepToken);
+        });
+    }
+
+    /**
+     * Calls back only once, printing summary of failures by category if task failed.
+     * CmisErrors carry exit code of the task.
+     */
+    function reportFailures(callback) {
+        var failed = false;
+        return function(err) {
+            if (failed) {
+                // task has already failed
+                return;
+            }
+            if (err) {
+                failed = true;
+                // keep versions of the documents transferred before the failure
+                if (options.dryRun !== true) {
+                    VersionRegistry.save();
+                }
+                var failures = RunReport.getFailures();
+                if (failures.indexOf(err) === -1) {
+                    failures.push(err);
+                }
+                CmisError.printSummary(failures);
+            }
+            callback(err);
+        };
+    }
+
+    /**
+     * Prints outcome of processed files when task completes, failing the task if any file failed.
+     * Files only fail without failing the task when options.failFast is false.
+     */
+    function reportRun(callback) {
+        return function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            var failures = RunReport.getFailures();
+            if (reportsRun || failures.length > 0) {
+                RunReport.print();
+            }
+            if (failures.length > 0) {
+                CmisError.printSummary(failures);
+                callback(failures.length + (failures.length === 1 ? ' file' : ' files') + ' failed');
+                return;
+            }
+            callback();
+        };
+    }
+
+    /**
+     * Prints status of documents found in CMS, and of local files that are not in CMS.
+     * Fails if there are conflicts.
+     */
+    function reportStatus(remoteTree, isDocument, callback) {
+        var statuses = remoteTree.statuses;
+        if (!isDocument) {
+            LocalFiles.listFiles(localPath, PathFilter.create(options)).forEach(function(file) {
+                if (remoteTree.files[file] == null) {
+                    statuses[file] = syncStates.newLocally;
+                }
             });
+        }
+
+        failOnConflicts(StatusReport.print(statuses), callback);
+    }
+
+    function countConflicts(statuses) {
+        return Object.keys(statuses).filter(function(path) {
+            return statuses[path] === syncStates.conflict;
+        }).length;
+    }
+
+    function failOnConflicts(conflicts, callback) {
+        if (conflicts > 0) {
+            callback(conflicts + (conflicts === 1 ? ' conflict' : ' conflicts') + ' found');
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * Creates new content and prunes deleted content, if configured, and saves version registry.
+     * 
+     * @param remoteTree - documents, files and folders found in CMS by file processor
+     * @param isDocument - true if cmisPath is a document, rather than a folder
+     * @param callback
+     */
+    function finishTask(remoteTree, isDocument, callback) {
+        var steps = [];
+
+        if (createNewContent) {
+            steps.push(function(done) {
+                var contentCreator = ContentCreator.create(cmisSession, options);
+                contentCreator.createMissing(cmisPath, localPath, remoteTree.documents, done);
+            });
+        }
+
+        // prune applies to folders only
+        if (options.prune === true && !isDocument) {
+            var pruner = Pruner.create(cmisSession, options);
+            if (action === actions.upload) {
+                steps.push(function(done) {
+                    pruner.pruneRemote(cmisPath, localPath, remoteTree.files, remoteTree.folders, done);
+                });
+            } else if (action === actions.download) {
+                steps.push(function(done) {
+                    pruner.pruneLocal(localPath, remoteTree.files, remoteTree.folders, done);
+                });
+            }
+        }
+
+        async.series(steps, function(err) {
+            if (err) {
+                grunt.log.error();
+                grunt.log.error(err);
+                callback(err);
+                return;
+            }
+            if (options.dryRun === true) {
+                grunt.log.ok('Dry run - nothing was changed');
+            } else {
+                VersionRegistry.save();
+            }
+            callback();
         });
     }
 
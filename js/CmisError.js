@@ -0,0 +1,138 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+var pad = require('./Columns').pad;
+
+// failure categories, with exit codes of the task (grunt uses 1 - 6)
+var CATEGORIES = {
+    notFound: {label: 'not found', exitCode: 10},
+    permission: {label: 'permission denied', exitCode: 11},
+    conflict: {label: 'conflict', exitCode: 12},
+    invalid: {label: 'invalid request', exitCode: 13},
+    server: {label: 'server error', exitCode: 14},
+    network: {label: 'network error', exitCode: 15},
+    other: {label: 'other', exitCode: 16}
+};
+
+// CMIS exceptions, as returned by browser binding in 'exception' property of response body
+var EXCEPTIONS = {
+    invalidArgument: {status: 400, category: 'invalid', description: 'invalid argument'},
+    filterNotValid: {status: 400, category: 'invalid', description: 'invalid filter'},
+    unauthorized: {status: 401, category: 'permission', description: 'authentication failed - check username and password'},
+    permissionDenied: {status: 403, category: 'permission', description: 'permission denied - check that the user has access'},
+    streamNotSupported: {status: 403, category: 'invalid', description: 'document type does not allow content'},
+    objectNotFound: {status: 404, category: 'notFound', description: 'not found in CMS - check the path'},
+    notSupported: {status: 405, category: 'invalid', description: 'operation is not supported by the repository'},
+    constraint: {status: 409, category: 'conflict', description: 'repository constraint violated'},
+    contentAlreadyExists: {status: 409, category: 'conflict', description: 'document already has content'},
+    versioning: {status: 409, category: 'conflict', description: 'document is checked out or is not versionable'},
+    updateConflict: {status: 409, category: 'conflict', description: 'document was changed in CMS by someone else - download it and try again'},
+    nameConstraintViolation: {status: 409, category: 'conflict', description: 'name is not allowed or is already used in the folder'},
+    runtime: {status: 500, category: 'server', description: 'CMS server error'},
+    storage: {status: 500, category: 'server', description: 'CMS storage error'}
+};
+
+// exception assumed for status code, when response doesn't tell
+var EXCEPTIONS_BY_STATUS = {
+    400: 'invalidArgument',
+    401: 'unauthorized',
+    403: 'permissionDenied',
+    404: 'objectNotFound',
+    405: 'notSupported',
+    409: 'constraint',
+    500: 'runtime'
+};
+
+/**
+ * Failed CMS request.
+ *
+ * @argument {String} type - CMIS exception name, e.g. 'updateConflict', or 'network' or 'unknown'
+ * @argument {String} category - key of CATEGORIES
+ * @argument {String} message - what failed, why and where
+ * @argument {String} path - path of document or folder involved
+ * @argument {Number} status - http status code, if there was a response
+ */
+function CmisError(type, category, message, path, status) {
+    this.type = type;
+    this.category = category;
+    this.message = message;
+    this.path = path;
+    this.status = status;
+    this.exitCode = CATEGORIES[category].exitCode;
+}
+CmisError.prototype = Object.create(Error.prototype);
+CmisError.prototype.constructor = CmisError;
+CmisError.prototype.name = 'CmisError';
+
+// errors are reported as strings elsewhere
+CmisError.prototype.toString = function() {
+    return this.message;
+};
+
+// e.g. "failed to delete /Sites/mysite/faq.html: permission denied - check that the user has access (403)"
+function describe(failure, path, description, details) {
+    return failure + (path ? ' ' + path : '') + ': ' + description + (details ? '\n' + details : '');
+}
+
+exports.CmisError = CmisError;
+
+/**
+ * Translates response of failed CMS request (CmisJS response or http response of content stream).
+ *
+ * @argument response - response with statusCode, and body with CMIS exception, if it was parsed
+ * @argument {String} path - path of document or folder involved
+ * @argument {String} failure - what failed, e.g. 'failed to delete'
+ * @return {CmisError}
+ */
+exports.fromResponse = function(response, path, failure) {
+    var status = response.statusCode;
+    var body = response.body || {};
+    var type = EXCEPTIONS.hasOwnProperty(body.exception) ? body.exception : EXCEPTIONS_BY_STATUS[status];
+    if (type == null && status >= 500) {
+        type = 'runtime';
+    }
+
+    var exception = EXCEPTIONS[type];
+    var details = body.message || (response.error ? String(response.error) : '');
+    if (exception == null) {
+        return new CmisError('unknown', 'other', describe(failure, path, 'request failed (' + status + ')', details), path, status);
+    }
+    return new CmisError(type, exception.category, describe(failure, path, exception.description + ' (' + status + ')', details), path, status);
+};
+
+/**
+ * @argument err - network error, or its message
+ * @argument {String} path - path of document or folder involved
+ * @argument {String} failure - what failed, e.g. 'failed to get content'
+ * @return {CmisError}
+ */
+exports.fromNetworkError = function(err, path, failure) {
+    var message = err && err.message ? err.message : String(err);
+    return new CmisError('network', 'network', describe(failure, path, 'network error - ' + message), path);
+};
+
+/**
+ * Prints number of failures in each category.
+ *
+ * @argument {Array} errors - CmisErrors, or error messages
+ */
+exports.printSummary = function(errors) {
+    var counts = {};
+    errors.forEach(function(error) {
+        var category = error instanceof CmisError ? error.category : 'other';
+        counts[category] = (counts[category] || 0) + 1;
+    });
+
+    console.log();
+    grunt.log.error('Failures:');
+    Object.keys(CATEGORIES).forEach(function(category) {
+        if (counts[category]) {
+            console.log('  ' + pad(CATEGORIES[category].label) + counts[category]);
+        }
+    });
+};
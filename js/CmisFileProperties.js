@@ -1,12 +1,29 @@
 var _ = require('underscore');
+var CmisError = require('./CmisError');
 
 /* 
  * Factory to create Canonical representation of CMIS document (independent of CMIS dialect)
  */
-module.exports = CmisFilePropertiesFactory;
+module.exports = cmisFilePropertiesFactory;
+
+/**
+ * Creates CmisFileProperties of an object returned on its own (e.g. version, or created document),
+ * which legacy CMIS sends without 'object' wrapper.
+ *
+ * @argument {Object} object - CMIS object, in either dialect
+ * @return {CmisFileProperties}
+ */
+cmisFilePropertiesFactory.fromObject = function(object) {
+    return cmisFilePropertiesFactory(object.succinctProperties ? object : {object: object});
+};
+
+// dates are milliseconds in modern CMIS, ISO strings in legacy CMIS
+function toTime(date) {
+    return typeof date === 'string' ? Date.parse(date) : date;
+}
 
 // factory
-function CmisFilePropertiesFactory(cmisObject){
+function cmisFilePropertiesFactory(cmisObject){
     var isModernCmis = cmisObject.succinctProperties != null;
     
     // for legasy cmis need parent path to get file props
@@ -15,25 +32,32 @@ function CmisFilePropertiesFactory(cmisObject){
     // CmisFileProperties
     return {
         getName: function(){
-            return isModernCmis ? cmisObject.succinctProperties["cmis:name"] : cmisObject.object.properties["cmis:name"].value;
+            return getProperty("cmis:name");
         },
         getObjectId: function(){
-            return isModernCmis ? cmisObject.succinctProperties["cmis:objectId"] : cmisObject.object.properties["cmis:objectId"].value;
+            return getProperty("cmis:objectId");
         },
         getMimeType: function(){
-            return isModernCmis ? cmisObject.succinctProperties["cmis:contentStreamMimeType"] : cmisObject.object.properties["cmis:contentStreamMimeType"].value;
+            return getProperty("cmis:contentStreamMimeType");
         },
         getVersion: function(){
-            return isModernCmis ? cmisObject.succinctProperties["cmis:versionLabel"] : cmisObject.object.properties["cmis:versionLabel"].value;
+            return getProperty("cmis:versionLabel");
         },
         getNodeId: function(){
-            return isModernCmis ? cmisObject.succinctProperties["alfcmis:nodeRef"] : cmisObject.object.properties["alfcmis:nodeRef"].value;
+            return getProperty("alfcmis:nodeRef");
         },
         getPath: function(){
-            return isModernCmis ? cmisObject.succinctProperties["cmis:path"] : cmisObject.object.properties["cmis:path"].value;
+            return getProperty("cmis:path");
         },
         getType: function(){
-            return isModernCmis ? cmisObject.succinctProperties["cmis:baseTypeId"] : cmisObject.object.properties["cmis:baseTypeId"].value;
+            return getProperty("cmis:baseTypeId");
+        },
+        getObjectTypeId: function(){
+            return getProperty("cmis:objectTypeId");
+        },
+        // aspects, in Alfresco
+        getSecondaryObjectTypeIds: function(){
+            return getProperty("cmis:secondaryObjectTypeIds") || [];
         },
         isFolder: function(){
             return this.getType() === 'cmis:folder';
@@ -41,6 +65,49 @@ function CmisFilePropertiesFactory(cmisObject){
         isDocument: function(){
             return this.getType() === 'cmis:document';            
         },
+        getContentStreamLength: function(){
+            return getProperty("cmis:contentStreamLength");
+        },
+        getCreationDate: function(){
+            return toTime(getProperty("cmis:creationDate"));
+        },
+        getCreatedBy: function(){
+            return getProperty("cmis:createdBy");
+        },
+        getLastModificationDate: function(){
+            return toTime(getProperty("cmis:lastModificationDate"));
+        },
+        getLastModifiedBy: function(){
+            return getProperty("cmis:lastModifiedBy");
+        },
+        getChangeToken: function(){
+            return getProperty("cmis:changeToken");
+        },
+        getCheckinComment: function(){
+            return getProperty("cmis:checkinComment");
+        },
+        isPrivateWorkingCopy: function(){
+            return getProperty("cmis:isPrivateWorkingCopy") === true;
+        },
+        isVersionSeriesCheckedOut: function(){
+            return getProperty("cmis:isVersionSeriesCheckedOut") === true;
+        },
+        getVersionSeriesCheckedOutBy: function(){
+            return getProperty("cmis:versionSeriesCheckedOutBy");
+        },
+        // any property, e.g. cm:title - undefined if repository didn't return it
+        getProperty: function(name){
+            return getProperty(name);
+        },
+        // all properties returned by repository, by id
+        getProperties: function(){
+            var properties = {};
+            var names = Object.keys(isModernCmis ? cmisObject.succinctProperties : cmisObject.object.properties);
+            names.forEach(function(name) {
+                properties[name] = getProperty(name);
+            });
+            return properties;
+        },
         
         // for legasy cmis need parent path to get file props
         setParentPath: function(path){
@@ -55,22 +122,26 @@ function CmisFilePropertiesFactory(cmisObject){
          * Retrieves latest version of this file using appropeiate cmis protocol depending on CMIS dialect
          * 
          * @argument {CmisSession} cmisSession http://agea.github.io/CmisJS/docs/#!/api/CmisSession
-         * @return {CmisFileProperties} new object
+         * @argument {Function} callback - called with error, or with new version label and CmisFileProperties of latest version
          */
         getLatestVersion: function(cmisSession, callback){
             return isModernCmis ? getLatestVersionModern(this, cmisSession, callback) : getLatestVersionLegacy(this, cmisSession, callback);
         }
     };
     
+    // not all repositories return all properties - undefined if it is missing
+    function getProperty(name){
+        var property = isModernCmis ? cmisObject.succinctProperties[name] : cmisObject.object.properties[name];
+        return isModernCmis || property == null ? property : property.value;
+    }
+    
     function getLatestVersionModern(self, cmisSession, callback){
         // get new version
         cmisSession.getObject(self.getNodeId()).ok(function(updatedObject) {
             var newVersion = updatedObject.succinctProperties["cmis:versionLabel"];
-            callback(null, newVersion);
+            callback(null, newVersion, cmisFilePropertiesFactory(updatedObject));
         }).notOk(function(response) {
-            var status = response.statusCode ? response.statusCode : "";
-            var error = response.error ? response.error : "";
-            callback('failed to get new version: ' + status + "\n" + error);
+            callback(CmisError.fromResponse(response, self.getName(), 'failed to get new version'));
         });
     }
     
@@ -84,7 +155,7 @@ function CmisFilePropertiesFactory(cmisObject){
             
             if (match) {
                 var newVersion = match.object.properties["cmis:versionLabel"].value;
-                callback(null, newVersion);
+                callback(null, newVersion, cmisFilePropertiesFactory(match));
             } else {
                 // file not found
                 callback('failed to get new version');
@@ -0,0 +1,25 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+
+// width of the label column in printed reports
+var WIDTH = 20;
+
+/**
+ * Pads text with spaces, so columns of printed report line up.
+ *
+ * @argument {String} text
+ * @argument {Number} width - optional, 20 by default
+ * @return {String} text, at least width characters long
+ */
+exports.pad = function(text, width) {
+    width = width || WIDTH;
+    while (text.length < width) {
+        text += ' ';
+    }
+    return text;
+};
@@ -0,0 +1,181 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var fs = require('fs');
+var async = require('async');
+var grunt = require('grunt');
+var mime = require('mime');
+var _ = require('underscore');
+var versionRegistry = require('./VersionRegistry');
+var LocalFiles = require('./LocalFiles');
+var PathFilter = require('./PathFilter');
+var cmisFilePropertiesFactory = require('./CmisFileProperties');
+var CmisError = require('./CmisError');
+var RunReport = require('./RunReport');
+
+/**
+ * Factory method creates ContentCreator object.
+ *
+ * Creates documents (and their parent folders) for local files that don't exist in CMS yet.
+ * In dry run (options.dryRun) it only reports what would be created.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @returns {
+ *      createMissing: function(cmisPath, localPath, remoteDocuments, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+
+    // folder ids by cmis path
+    var folderIds = {};
+
+    function parentOf(path) {
+        return path.slice(0, path.lastIndexOf('/'));
+    }
+
+    function nameOf(path) {
+        return path.slice(path.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Finds id of the folder, calls back with null if folder doesn't exist
+     */
+    function getFolderId(path, callback) {
+        if (folderIds[path]) {
+            callback(null, folderIds[path]);
+            return;
+        }
+
+        cmisSession.getObjectByPath(path).ok(function(object) {
+            if (object.succinctProperties) {
+                folderIds[path] = object.succinctProperties["cmis:objectId"];
+                callback(null, folderIds[path]);
+                return;
+            }
+
+            // legacy CMIS returns folder children - find folder in parent collection
+            cmisSession.getObjectByPath(parentOf(path)).ok(function(collection) {
+                var match = _.find(collection.objects, function(entry) {
+                    return entry.object.properties["cmis:name"].value === nameOf(path);
+                });
+                if (match) {
+                    folderIds[path] = match.object.properties["cmis:objectId"].value;
+                }
+                callback(null, folderIds[path]);
+            }).notOk(function(response) {
+                callback(CmisError.fromResponse(response, parentOf(path), 'failed to get folder'));
+            });
+
+        }).notOk(function(response) {
+            if (response.statusCode === 404) {
+                callback(null, null);
+            } else {
+                callback(CmisError.fromResponse(response, path, 'failed to get folder'));
+            }
+        });
+    }
+
+    /**
+     * Finds id of the folder, creating it (and its parents) if it doesn't exist
+     */
+    function ensureFolder(path, callback) {
+        getFolderId(path, function(err, folderId) {
+            if (err || folderId) {
+                callback(err, folderId);
+                return;
+            }
+            if (!path) {
+                callback('failed to get root folder');
+                return;
+            }
+
+            ensureFolder(parentOf(path), function(err, parentId) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                cmisSession.createFolder(parentId, nameOf(path)).ok(function(folder) {
+                    folderIds[path] = cmisFilePropertiesFactory.fromObject(folder).getObjectId();
+                    grunt.log.ok('created folder', path);
+                    callback(null, folderIds[path]);
+                }).notOk(function(response) {
+                    callback(CmisError.fromResponse(response, path, 'failed to create folder'));
+                });
+            });
+        });
+    }
+
+    function createDocument(cmisFilePath, localFilePath, callback) {
+        fs.readFile(localFilePath, function(err, data) {
+            if (err) {
+                callback('unable to read file ' + localFilePath);
+                return;
+            }
+
+            ensureFolder(parentOf(cmisFilePath), function(err, parentId) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                var mimeType = mime.lookup(localFilePath);
+                cmisSession.createDocument(parentId, data, nameOf(cmisFilePath), mimeType).ok(function(document) {
+                    var cmisFileProperties = cmisFilePropertiesFactory.fromObject(document);
+                    versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion(), localFilePath, data, cmisFileProperties);
+                    grunt.log.ok('created', localFilePath);
+                    callback();
+                }).notOk(function(response) {
+                    callback(CmisError.fromResponse(response, cmisFilePath, 'failed to create document'));
+                });
+            });
+        });
+    }
+
+    return {
+        /**
+         * Creates documents in CMS for all local files under localPath that are not in remoteDocuments.
+         *
+         * @argument {String} cmisPath - cmis path of the file or folder being uploaded
+         * @argument {String} localPath - local path of the file or folder being uploaded
+         * @argument {Array} remoteDocuments - existing document paths relative to cmisPath
+         *      (or to its parent folder, if cmisPath is a file)
+         * @argument {Function} callback
+         */
+        createMissing: function(cmisPath, localPath, remoteDocuments, callback) {
+            var existing = {};
+            remoteDocuments.forEach(function(document) {
+                existing[document.charAt(0) === '/' ? document.substring(1) : document] = true;
+            });
+
+            var localFiles;
+            if (grunt.file.isFile(localPath)) {
+                // single file - paths are relative to parent folder
+                localFiles = [nameOf(localPath)];
+                cmisPath = parentOf(cmisPath);
+                localPath = parentOf(localPath);
+            } else {
+                localFiles = LocalFiles.listFiles(localPath, PathFilter.create(options));
+            }
+
+            var missing = localFiles.filter(function(file) {
+                return !existing[file];
+            });
+
+            // create one by one, so the same folder is not created twice
+            async.eachSeries(missing.sort(), function(file, done) {
+                if (options.dryRun === true) {
+                    grunt.log.ok('would create', cmisPath + '/' + file);
+                    done();
+                    return;
+                }
+                createDocument(cmisPath + '/' + file, localPath + '/' + file, RunReport.track(localPath + '/' + file, options, done));
+            }, callback);
+        }
+    };
+};
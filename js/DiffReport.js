@@ -0,0 +1,83 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+var crypto = require('crypto');
+var jsdiff = require('diff');
+var mime = require('mime');
+
+// non text/* mime types that are still worth diffing line by line
+var TEXT_MIME_TYPES = /json|xml|javascript|ecmascript|css|html|svg|x-sh|sql|yaml|csv/;
+
+function isText(mimeType) {
+    return mimeType.indexOf('text/') === 0 || TEXT_MIME_TYPES.test(mimeType);
+}
+
+function checkSum(data) {
+    return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function describe(label, data) {
+    return label + ': ' + data.length + ' bytes, sha1 ' + checkSum(data);
+}
+
+/**
+ * Formats difference between remote and local content of the document.
+ * Text content is formatted as unified diff, binary content as size and hash summary.
+ *
+ * @argument {String} filePath - local file path
+ * @argument {String} mimeType - mime type of the document, detected from file name if not provided
+ * @argument {Buffer} remoteData - content of the document in CMS
+ * @argument {String} remoteVersion - version label of the document in CMS
+ * @argument {Buffer} localData - content of the local file
+ * @return {String} difference, or null if content is the same
+ */
+exports.format = function(filePath, mimeType, remoteData, remoteVersion, localData) {
+    if (remoteData.toString('binary') === localData.toString('binary')) {
+        return null;
+    }
+
+    if (isText(mimeType || mime.lookup(filePath))) {
+        return jsdiff.createTwoFilesPatch(filePath, filePath, remoteData.toString(), localData.toString(), 'CMS version ' + remoteVersion, 'local');
+    }
+
+    return 'Binary files differ: ' + filePath + '\n' +
+            describe('  CMS version ' + remoteVersion, remoteData) + '\n' +
+            describe('  local', localData) + '\n';
+};
+
+/**
+ * Prints differences, sorted by path, with added lines in green and removed lines in red.
+ *
+ * @argument {Object} diffs - formatted differences by document path
+ * @return {Number} number of documents that differ
+ */
+exports.print = function(diffs) {
+    var paths = Object.keys(diffs).sort();
+
+    paths.forEach(function(path) {
+        console.log();
+        diffs[path].split('\n').forEach(function(line) {
+            if (line.charAt(0) === '+' && line.indexOf('+++') !== 0) {
+                grunt.log.writeln(line.green);
+            } else if (line.charAt(0) === '-' && line.indexOf('---') !== 0) {
+                grunt.log.writeln(line.red);
+            } else {
+                grunt.log.writeln(line);
+            }
+        });
+    });
+
+    console.log();
+    if (paths.length === 0) {
+        grunt.log.ok('No differences found');
+    } else {
+        grunt.log.ok(paths.length, paths.length === 1 ? 'document differs' : 'documents differ');
+    }
+
+    return paths.length;
+};
@@ -0,0 +1,96 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var PathFilter = require('./PathFilter');
+var RunReport = require('./RunReport');
+var CmisError = require('./CmisError');
+var FileIO = require('./FileIO');
+var cmisFilePropertiesFactory = require('./CmisFileProperties');
+
+/**
+ * Factory method creates DocumentFetcher object.
+ *
+ * Downloads single documents found by id (e.g. in change log, or by query), to the local folder
+ * matching their folder in CMS.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @returns {
+ *      downloadDocument: function(cmisPath, localPath, documentId, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+    var fileIO = FileIO.create(cmisSession, options);
+    var pathFilter = PathFilter.create(options);
+
+    /**
+     * Finds the folder of the document under cmisPath
+     * Calls back with null if document is not there.
+     */
+    function getParentPath(cmisPath, objectId, callback) {
+        cmisSession.getParents(objectId).ok(function(parents) {
+            var parentPaths = parents.map(function(parent) {
+                return parent.object.succinctProperties['cmis:path'];
+            }).filter(function(path) {
+                return path === cmisPath || path.indexOf(cmisPath + '/') === 0;
+            });
+            callback(null, parentPaths.length > 0 ? parentPaths[0] : null);
+        }).notOk(function(response) {
+            callback(CmisError.fromResponse(response, objectId, 'failed to get folder of'));
+        });
+    }
+
+    return {
+        /**
+         * Downloads latest version of the document, if it is in cmisPath folder.
+         * Documents in other folders, and documents deleted since, are skipped.
+         *
+         * @argument {String} cmisPath
+         * @argument {String} localPath
+         * @argument {String} documentId - object id, or version series id of the document
+         * @argument {Function} callback
+         */
+        downloadDocument: function(cmisPath, localPath, documentId, callback) {
+            // local path is not known yet
+            var fail = RunReport.track(documentId, options, callback);
+
+            cmisSession.getObject(documentId, 'latest').ok(function(object) {
+                var cmisFileProperties = cmisFilePropertiesFactory(object);
+                if (!cmisFileProperties.isDocument() || cmisFileProperties.isPrivateWorkingCopy()) {
+                    callback();
+                    return;
+                }
+
+                getParentPath(cmisPath, cmisFileProperties.getObjectId(), function(err, parentPath) {
+                    if (err) {
+                        fail(err);
+                        return;
+                    }
+                    if (parentPath == null) {
+                        // document is in another folder
+                        callback();
+                        return;
+                    }
+                    if (!pathFilter.acceptsCmisPath(parentPath + '/' + cmisFileProperties.getName(), false)) {
+                        callback();
+                        return;
+                    }
+
+                    var localDir = localPath + parentPath.slice(cmisPath.length);
+                    fileIO.downloadFile(localDir, cmisFileProperties, RunReport.track(localDir + '/' + cmisFileProperties.getName(), options, callback));
+                });
+            }).notOk(function(response) {
+                if (response.statusCode === 404) {
+                    // deleted since
+                    callback();
+                    return;
+                }
+                fail(CmisError.fromResponse(response, documentId, 'failed to get document'));
+            });
+        }
+    };
+};
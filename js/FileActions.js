@@ -0,0 +1,134 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var actions = require('./Actions');
+var grunt = require('grunt');
+var FileIO = require('./FileIO');
+var Checkout = require('./Checkout');
+var History = require('./History');
+var PathFilter = require('./PathFilter');
+var RunReport = require('./RunReport');
+
+/**
+ * Factory method creates FileActions object.
+ *
+ * Runs the action on every document found by file processor (for current or legacy CMIS API),
+ * and keeps what the action found out about it.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @param {String} action - one of Actions
+ * @returns {
+ *      accepts: function(cmisPath, cmisFileProperties),
+ *      processFile: function(cmisPath, localPath, parentPath, cmisFileProperties, callback),
+ *      documents, files, statuses, diffs, histories
+ * }
+ */
+exports.create = function(cmisSession, options, action) {
+    var fileIO = FileIO.create(cmisSession, options);
+    var checkout = Checkout.create(cmisSession, options);
+    var history = History.create(cmisSession);
+    var pathFilter = PathFilter.create(options);
+    var documents = [];
+    // processed documents, by path relative to cmisPath
+    var files = {};
+    // SyncStates of processed (or synced) documents, by path relative to cmisPath
+    var statuses = {};
+    // differences between local and remote content, by path relative to cmisPath
+    var diffs = {};
+    // versions of processed documents, by path relative to cmisPath
+    var histories = {};
+
+    return {
+        documents: documents,
+        files: files,
+        statuses: statuses,
+        diffs: diffs,
+        histories: histories,
+
+        /**
+         * @argument {String} path - CMIS path of the child of processed folder
+         * @argument {CmisFileProperties} cmisFileProperties - the child
+         * @return true if the child has to be processed
+         */
+        accepts: function(path, cmisFileProperties) {
+            // private working copy is not a separate file - skip it, along with excluded paths
+            return !cmisFileProperties.isPrivateWorkingCopy() && pathFilter.acceptsCmisPath(path, cmisFileProperties.isFolder());
+        },
+
+        /**
+         * Runs the action on the document, tracking it in run report.
+         *
+         * @argument {String} cmisPath - processed CMIS folder
+         * @argument {String} localPath - local folder matching cmisPath
+         * @argument {String} parentPath - CMIS folder of the document, cmisPath or its subfolder
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback
+         */
+        processFile: function(cmisPath, localPath, parentPath, cmisFileProperties, callback) {
+            var fileDir = parentPath.slice(cmisPath.length + 1);
+            var localDir = fileDir ? localPath + '/' + fileDir : localPath;
+
+            var relativePath = fileDir ? fileDir + '/' + cmisFileProperties.getName() : cmisFileProperties.getName();
+            documents.push(fileDir + '/' + cmisFileProperties.getName());
+            files[relativePath] = cmisFileProperties;
+
+            if (action !== actions.list) {
+                callback = RunReport.track(localDir + '/' + cmisFileProperties.getName(), options, callback);
+            }
+
+            // legacy CMIS finds latest version of the document in its folder
+            cmisFileProperties.setParentPath(parentPath);
+
+            if (action === actions.upload) {
+                fileIO.uploadFile(localDir, cmisFileProperties, callback);
+            } else if (action === actions.download){
+                if (options.version != null) {
+                    fileIO.downloadVersion(localDir, cmisFileProperties, options.version, callback);
+                } else {
+                    fileIO.downloadFile(localDir, cmisFileProperties, callback);
+                }
+            } else if (action === actions.revert){
+                fileIO.revertFile(localDir, cmisFileProperties, options.version, callback);
+            } else if (action === actions.checkout){
+                checkout.checkoutFile(localDir, cmisFileProperties, callback);
+            } else if (action === actions.checkin){
+                checkout.checkinFile(localDir, cmisFileProperties, callback);
+            } else if (action === actions.cancelcheckout){
+                checkout.cancelCheckoutFile(localDir, cmisFileProperties, callback);
+            } else if (action === actions.status){
+                fileIO.getStatus(localDir, cmisFileProperties, function(err, state) {
+                    statuses[relativePath] = state;
+                    callback(err);
+                });
+            } else if (action === actions.sync){
+                fileIO.syncFile(localDir, cmisFileProperties, function(err, state) {
+                    statuses[relativePath] = state;
+                    callback(err);
+                });
+            } else if (action === actions.diff){
+                fileIO.getDiff(localDir, cmisFileProperties, function(err, diff) {
+                    if (diff) {
+                        diffs[relativePath] = diff;
+                    }
+                    callback(err);
+                });
+            } else if (action === actions.history){
+                history.getVersions(cmisFileProperties, function(err, versions) {
+                    if (versions) {
+                        histories[relativePath] = versions;
+                    }
+                    callback(err);
+                });
+            } else {
+                // log progress
+                grunt.log.write('.');
+                callback();
+            }
+        }
+    };
+};
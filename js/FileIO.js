@@ -6,53 +6,250 @@
  * Licensed under the MIT license.
  */
 var http = require('http');
+var https = require('https');
 var url = require('url');
 var fs = require('fs');
+var path = require('path');
 var grunt = require('grunt');
 var crypto = require('crypto');
 var BufferWriter = require('./BufferStreams').BufferWriter;
 var BufferReader = require('./BufferStreams').BufferReader;
 var versionRegistry = require('./VersionRegistry');
+var syncStates = require('./SyncStates');
+var DiffReport = require('./DiffReport');
+var RequestQueue = require('./RequestQueue');
+var Transport = require('./Transport');
+var Auth = require('./Auth');
+var Retry = require('./Retry');
+var CmisError = require('./CmisError');
+var RunReport = require('./RunReport');
+var cmisFilePropertiesFactory = require('./CmisFileProperties');
+var PropertiesSidecar = require('./PropertiesSidecar');
 
 /**
  * Factory method creates FileIO object.
  * 
- * TODO: Error handling - Translate http Status Codes:
- * invalidArgument              400
- * objectNotFound               404
- * permissionDenied             403
- * notSupported                 405
- * runtime                      500
- * constraint                   409
- * filterNotValid               400
- * streamNotSupported           403
- * storage                      500
- * contentAlreadyExists         409
- * versioning                   409
- * updateConflict               409
- * nameConstraintViolation      409
- * 
- * 
  * @param cmisSession
  * @param options - options object provided in task config
  * @returns {
  *      uploadFile: function(localDir, fileName, objectId, mimeType, callback),
- *      downloadFile: function(localDir, fileName, objectId, mimeType, callback)
+ *      downloadFile: function(localDir, fileName, objectId, mimeType, callback),
+ *      getStatus: function(localDir, cmisFileProperties, callback),
+ *      getDiff: function(localDir, cmisFileProperties, callback),
+ *      syncFile: function(localDir, cmisFileProperties, callback),
+ *      downloadVersion: function(localDir, cmisFileProperties, versionLabel, callback),
+ *      revertFile: function(localDir, cmisFileProperties, versionLabel, callback)
  * }
  * 
  */
 exports.create = function(cmisSession, options) {
-    
+    var auth = Auth.create(options);
+    var propertiesSidecar = PropertiesSidecar.create(cmisSession, options);
+
+    // with options.properties, document properties follow its content
+    function thenProperties(step, localDir, cmisFileProperties, callback) {
+        if (!PropertiesSidecar.isEnabled(options)) {
+            return callback;
+        }
+        return function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            step(localDir, cmisFileProperties, callback);
+        };
+    }
 
     function getRemoteData(objectId, callback) {
+        auth.login(function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            sendContentRequest(objectId, 1, callback);
+        });
+    }
+
+    /**
+     * Requests content stream, retrying on network errors and transient failures.
+     * Fails if CMS doesn't send anything for options.timeout milliseconds.
+     */
+    function sendContentRequest(objectId, attempt, callback) {
         var URL = cmisSession.getContentStreamURL(objectId);
 
         var requestOptions = url.parse(URL);
-        requestOptions.auth = options.username + ':' + options.password;
-        http.get(requestOptions, function(response) {
-            callback(null, response);
-        }).on('error', function(e) {
-            callback(e.message);
+        auth.authorizeRequest(requestOptions);
+        requestOptions.agent = Transport.getAgent(requestOptions);
+        var transport = requestOptions.protocol === 'https:' ? https : http;
+
+        function retry(reason) {
+            return Retry.schedule(attempt, 'content stream ' + objectId, reason, function() {
+                sendContentRequest(objectId, attempt + 1, callback);
+            });
+        }
+
+        RequestQueue.push(function(release) {
+            var currentResponse = null;
+            var failed = false;
+
+            function fail(message) {
+                if (failed) {
+                    return;
+                }
+                failed = true;
+                release();
+                if (!retry(message)) {
+                    callback(CmisError.fromNetworkError(message, objectId, 'failed to get content'));
+                }
+            }
+
+            var request = transport.get(requestOptions, function(response) {
+                // request is complete when response is consumed
+                response.on('end', release);
+                response.on('error', release);
+                if (response.statusCode !== 200) {
+                    // content of failed response is never used
+                    response.resume();
+                    if (Retry.isTransient(response.statusCode) && retry(response.statusCode)) {
+                        return;
+                    }
+                }
+                currentResponse = response;
+                callback(null, response);
+            });
+            request.on('error', function(e) {
+                fail(e.message);
+            });
+
+            if (options.timeout > 0) {
+                request.setTimeout(options.timeout, function() {
+                    var message = 'timeout of ' + options.timeout + 'ms exceeded';
+                    if (currentResponse) {
+                        // response is already being consumed
+                        failed = true;
+                        currentResponse.emit('error', message);
+                    } else {
+                        fail(message);
+                    }
+                    request.abort();
+                });
+            }
+        });
+    }
+
+    function getRemoteContent(objectId, filePath, callback) {
+        getRemoteData(objectId, function(err, response) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            if (response.statusCode !== 200) {
+                callback(CmisError.fromResponse(response, filePath, 'failed to get content'));
+                return;
+            }
+
+            var bufferWriter = new BufferWriter();
+            response.pipe(bufferWriter);
+            response.on('end', function() {
+                callback(null, bufferWriter.buffer);
+            });
+            response.on('error', function(error) {
+                callback('error streaming file ' + error);
+            });
+        });
+    }
+
+    /**
+     * Three-way comparison of local and remote content,
+     * using version tracked in VersionRegistry and its content as a common base.
+     * 
+     * @return one of SyncStates
+     */
+    function getSyncState(cmisFileProperties, localData, remoteData) {
+        var nodeId = cmisFileProperties.getNodeId();
+
+        if (localData.toString('binary') === remoteData.toString('binary')) {
+            return syncStates.unchanged;
+        }
+        if (!versionRegistry.isTracked(nodeId)) {
+            // never synced and content is different
+            return syncStates.conflict;
+        }
+
+        var remoteChanged = !versionRegistry.hasVersion(nodeId, cmisFileProperties.getVersion());
+        // if repository version is the one we have, local file is the one that changed
+        var localChanged = remoteChanged ? versionRegistry.isContentChanged(nodeId, localData) : true;
+
+        if (remoteChanged && localChanged) {
+            return syncStates.conflict;
+        }
+        return remoteChanged ? syncStates.remoteModified : syncStates.localModified;
+    }
+
+    /**
+     * Tells sync state without getting remote content, when the document didn't change since last sync:
+     * its content is then the content tracked in VersionRegistry.
+     * 
+     * @return one of SyncStates, or null if remote content is needed to tell
+     */
+    function getKnownSyncState(cmisFileProperties, localData) {
+        if (!versionRegistry.isRemoteUnchanged(cmisFileProperties)) {
+            return null;
+        }
+        return versionRegistry.isContentChanged(cmisFileProperties.getNodeId(), localData) ? syncStates.localModified : syncStates.unchanged;
+    }
+
+    // faq.html -> faq.remote.html
+    function remoteCopyOf(filePath) {
+        var extension = path.extname(filePath);
+        return filePath.slice(0, filePath.length - extension.length) + '.remote' + extension;
+    }
+
+    // faq.html -> faq.v1.4.html
+    function versionCopyOf(filePath, versionLabel) {
+        var extension = path.extname(filePath);
+        return filePath.slice(0, filePath.length - extension.length) + '.v' + versionLabel + extension;
+    }
+
+    /**
+     * Finds object id of the version of the document
+     */
+    function getVersionId(cmisFileProperties, versionLabel, filePath, callback) {
+        cmisSession.getAllVersions(cmisFileProperties.getObjectId()).ok(function(versions) {
+            var matches = versions.map(function(version) {
+                return cmisFilePropertiesFactory.fromObject(version);
+            }).filter(function(versionProperties) {
+                return versionProperties.getVersion() === versionLabel;
+            });
+            if (matches.length === 0) {
+                callback('version ' + versionLabel + ' of ' + filePath + ' not found');
+                return;
+            }
+            callback(null, matches[0].getObjectId());
+        }).notOk(function(response) {
+            callback(CmisError.fromResponse(response, filePath, 'failed to get versions of'));
+        });
+    }
+
+    function getVersionContent(cmisFileProperties, versionLabel, filePath, callback) {
+        getVersionId(cmisFileProperties, versionLabel, filePath, function(err, versionId) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            getRemoteContent(versionId, filePath, callback);
+        });
+    }
+
+    function writeFile(filePath, cmisFileProperties, data, callback) {
+        fs.writeFile(filePath, data, function(err) {
+            if(err){
+                callback('error writing file ' + filePath + ' ' + err);
+                return;
+            }
+            versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion(), filePath, data, cmisFileProperties);
+            grunt.log.ok('downloaded', filePath);
+            callback(null);
         });
     }
 
@@ -92,18 +289,42 @@ exports.create = function(cmisSession, options) {
     }
 
     function doUpload(filepath, cmisFileProperties, data, callback) {
+        if (options.dryRun === true) {
+            grunt.log.ok('would upload', filepath);
+            callback();
+            return;
+        }
+
+        sendContent(filepath, cmisFileProperties, data, function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            trackNewVersion(filepath, cmisFileProperties, data, callback);
+        });
+    }
+
+    function sendContent(filepath, cmisFileProperties, data, callback) {
         var overwriteFlag = true;
         cmisSession.setContentStream(cmisFileProperties.getObjectId(), data, overwriteFlag, cmisFileProperties.getMimeType()).ok(function() {
             grunt.log.ok("uploaded", filepath);
-            // track new version
-            cmisFileProperties.getLatestVersion(cmisSession, function(err, newVersion){
-                if(err){
-                    grunt.log.error("Could not refresh file version", filepath, err);
-                }else{
-                    versionRegistry.setVersion(cmisFileProperties.getNodeId(), newVersion);
-                }
-                callback();
-            });
+            callback();
+        }).notOk(function(response) {
+            callback(CmisError.fromResponse(response, filepath, 'failed to upload'));
+        }).error(function(err) {
+            callback(CmisError.fromNetworkError(err, filepath, 'failed to upload'));
+        });
+    }
+
+    // local file has the uploaded content at this point
+    function trackNewVersion(filepath, cmisFileProperties, data, callback) {
+        cmisFileProperties.getLatestVersion(cmisSession, function(err, newVersion, latestProperties){
+            if(err){
+                grunt.log.error("Could not refresh file version", filepath, err);
+            }else{
+                versionRegistry.setVersion(cmisFileProperties.getNodeId(), newVersion, filepath, data, latestProperties);
+            }
+            callback();
         });
     }
 
@@ -113,22 +334,66 @@ exports.create = function(cmisSession, options) {
             var objectId = cmisFileProperties.getObjectId();
             var filepath = localDir + '/' + fileName;
             
+            // content of checked out document can only be changed through its working copy
+            if (cmisFileProperties.isVersionSeriesCheckedOut()) {
+                var checkedOutBy = cmisFileProperties.getVersionSeriesCheckedOutBy() || 'another user';
+                RunReport.skipped(filepath, 'checked out by ' + checkedOutBy);
+                grunt.log.error("Can't upload", filepath, "- checked out by", checkedOutBy + ". Check it in or cancel checkout first.");
+                callback();
+                return;
+            }
+
             // dont upload if version doesnt match
             if(!versionRegistry.hasVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion())){
+                RunReport.skipped(filepath, 'out of sync');
+                if (options.dryRun === true) {
+                    grunt.log.error('would skip (stale)', filepath);
+                    callback();
+                    return;
+                }
                 grunt.log.error("Can't upload", filepath, "- out of sync. Please download latest version.");
                 callback();
                 return;
             }         
 
+            // properties are sent even if content didn't change
+            callback = thenProperties(propertiesSidecar.upload, localDir, cmisFileProperties, callback);
+
+            // neither side changed since last sync
+            if (versionRegistry.isUnchanged(cmisFileProperties, filepath)) {
+                callback();
+                return;
+            }
+
             fs.readFile(filepath, function(err, data) {
 
-                if (err) {
-                    grunt.log.error('unable to read file', filepath);
-                    // ignore this error and continue wiht next file
+                if (err && err.code === 'ENOENT') {
+                    // with prune option, pruner deletes the document and reports it
+                    if (options.prune !== true) {
+                        grunt.log.error("Can't upload", filepath, "- missing locally.");
+                        RunReport.skipped(filepath, 'missing locally');
+                    }
                     callback();
                     return;
                 }
+                if (err) {
+                    callback('unable to read file ' + filepath);
+                    return;
+                }
 
+                var knownState = getKnownSyncState(cmisFileProperties, data);
+                if (knownState === syncStates.unchanged) {
+                    // file was only touched - remember its new modification time
+                    if (options.dryRun !== true) {
+                        versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion(), filepath, data, cmisFileProperties);
+                    }
+                    callback();
+                    return;
+                }
+                if (knownState === syncStates.localModified) {
+                    doUpload(filepath, cmisFileProperties, data, callback);
+                    return;
+                }
 
                 getRemoteData(objectId, function(err, response) {
                     if (err == null && response.statusCode === 200) {
@@ -157,8 +422,20 @@ exports.create = function(cmisSession, options) {
             var fileName = cmisFileProperties.getName();
             var objectId = cmisFileProperties.getObjectId();
             var filePath = localDir + '/' + fileName;
+            var dryRun = options.dryRun === true;
 
-            grunt.file.mkdir(localDir);
+            // properties are written even if content didn't change
+            callback = thenProperties(propertiesSidecar.download, localDir, cmisFileProperties, callback);
+
+            // neither side changed since last sync
+            if (versionRegistry.isUnchanged(cmisFileProperties, filePath)) {
+                callback();
+                return;
+            }
+
+            if (!dryRun) {
+                grunt.file.mkdir(localDir);
+            }
 
             getRemoteData(objectId, function(err, response) {
                 if (err) {
@@ -166,21 +443,29 @@ exports.create = function(cmisSession, options) {
                     return;
                 }
                 if (response.statusCode !== 200) {
-                    grunt.log.error('Download failed', response.statusCode, filePath);
-                    callback();
+                    callback(CmisError.fromResponse(response, filePath, 'failed to download'));
                 } else {
 
 
                     // check if local file is the same as remote
                     fs.readFile(filePath, function(err, data) {
 
+                        if (err && dryRun) {
+                            response.resume();
+                            grunt.log.ok('would download', filePath);
+                            callback(null);
+                            return;
+                        }
+
                         if (err) {
                             // file doesnt exist - just download remote
                             var writer = fs.createWriteStream(filePath);
+                            var contentWriter = new BufferWriter();
                             response.pipe(writer, {end: false});
+                            response.pipe(contentWriter);
                             response.on('end', function() {
                                 writer.end(function(){
-                                    versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion());
+                                    versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion(), filePath, contentWriter.buffer, cmisFileProperties);
                                     grunt.log.ok('downloaded', filePath);
                                     callback(null);
                                 });
@@ -205,21 +490,21 @@ exports.create = function(cmisSession, options) {
                             }
                             
                             if(isSame){
-                                versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion());
+                                if (!dryRun) {
+                                    versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion(), filePath, data, cmisFileProperties);
+                                }
                                 callback();
                                 return;
                             }
 
-                            // if not the same - write buffer to a file 
-                            fs.writeFile(filePath, bufferWriter.buffer, function(err) {
-                                if(err){
-                                    callback('error writing file ' + filePath + ' ' + err);
-                                    return;
-                                }
-                                versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion());
-                                grunt.log.ok('downloaded', filePath);
+                            if (dryRun) {
+                                grunt.log.ok('would download', filePath);
                                 callback(null);
-                            });
+                                return;
+                            }
+
+                            // if not the same - write buffer to a file 
+                            writeFile(filePath, cmisFileProperties, bufferWriter.buffer, callback);
 
                         });
 
@@ -229,6 +514,232 @@ exports.create = function(cmisSession, options) {
                 }
             });
 
+        },
+        
+        /**
+         * Compares local file with the repository document, without changing either of them.
+         * 
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback - called with error or with one of SyncStates
+         */
+        getStatus: function(localDir, cmisFileProperties, callback) {
+            var filePath = localDir + '/' + cmisFileProperties.getName();
+
+            fs.readFile(filePath, function(err, data) {
+                if (err) {
+                    callback(null, syncStates.missingLocally);
+                    return;
+                }
+
+                var knownState = getKnownSyncState(cmisFileProperties, data);
+                if (knownState) {
+                    callback(null, knownState);
+                    return;
+                }
+
+                getRemoteContent(cmisFileProperties.getObjectId(), filePath, function(err, remoteData) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    callback(null, getSyncState(cmisFileProperties, data, remoteData));
+                });
+            });
+        },
+
+        /**
+         * Compares content of local file with the repository document, without changing either of them.
+         * 
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback - called with error or with formatted difference (null if content is the same)
+         */
+        getDiff: function(localDir, cmisFileProperties, callback) {
+            var filePath = localDir + '/' + cmisFileProperties.getName();
+
+            fs.readFile(filePath, function(err, data) {
+                if (err) {
+                    grunt.log.error('unable to read file', filePath);
+                    // ignore this error and continue wiht next file
+                    callback();
+                    return;
+                }
+
+                if (getKnownSyncState(cmisFileProperties, data) === syncStates.unchanged) {
+                    callback(null, null);
+                    return;
+                }
+
+                getRemoteContent(cmisFileProperties.getObjectId(), filePath, function(err, remoteData) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    callback(null, DiffReport.format(filePath, cmisFileProperties.getMimeType(), remoteData, cmisFileProperties.getVersion(), data));
+                });
+            });
+        },
+
+        /**
+         * Downloads older version of the document, beside the local file (faq.v1.4.html),
+         * or over the local file with options.inPlace. Version registry is not changed,
+         * so local file replaced by older version is locally modified.
+         * Fails to replace local file that has changes that were not uploaded, as they would be lost.
+         * 
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {String} versionLabel - e.g. '1.4'
+         * @argument {Function} callback
+         */
+        downloadVersion: function(localDir, cmisFileProperties, versionLabel, callback) {
+            var filePath = localDir + '/' + cmisFileProperties.getName();
+            var targetPath = options.inPlace === true ? filePath : versionCopyOf(filePath, versionLabel);
+
+            fs.readFile(targetPath, function(readError, localData) {
+                if (options.inPlace === true && !readError && versionRegistry.isContentChanged(cmisFileProperties.getNodeId(), localData)) {
+                    callback("can't download version " + versionLabel + ' over ' + filePath + ' - local file was changed since last download or upload');
+                    return;
+                }
+
+                getVersionContent(cmisFileProperties, versionLabel, filePath, function(err, data) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    grunt.file.mkdir(localDir);
+                    fs.writeFile(targetPath, data, function(err) {
+                        if (err) {
+                            callback('error writing file ' + targetPath + ' ' + err);
+                            return;
+                        }
+                        grunt.log.ok('downloaded version', versionLabel, 'of', filePath, 'to', targetPath);
+                        callback();
+                    });
+                });
+            });
+        },
+
+        /**
+         * Makes content of older version the new current version of the document, and of the local file.
+         * Fails if local file has changes that were not uploaded, as they would be lost,
+         * or if the document is checked out. Local file is only replaced once the document is.
+         * 
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {String} versionLabel - e.g. '1.4'
+         * @argument {Function} callback
+         */
+        revertFile: function(localDir, cmisFileProperties, versionLabel, callback) {
+            var filePath = localDir + '/' + cmisFileProperties.getName();
+
+            // content of checked out document can only be changed through its working copy
+            if (cmisFileProperties.isVersionSeriesCheckedOut()) {
+                var checkedOutBy = cmisFileProperties.getVersionSeriesCheckedOutBy() || 'another user';
+                callback("can't revert " + filePath + ' - checked out by ' + checkedOutBy + '. Check it in or cancel checkout first.');
+                return;
+            }
+
+            fs.readFile(filePath, function(readError, localData) {
+                if (!readError && versionRegistry.isContentChanged(cmisFileProperties.getNodeId(), localData)) {
+                    callback("can't revert " + filePath + ' - local file was changed since last download or upload');
+                    return;
+                }
+
+                getVersionContent(cmisFileProperties, versionLabel, filePath, function(err, data) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    // local file keeps its content if the document can't be changed
+                    sendContent(filePath, cmisFileProperties, data, function(err) {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+                        grunt.file.mkdir(localDir);
+                        fs.writeFile(filePath, data, function(err) {
+                            if (err) {
+                                callback('error writing file ' + filePath + ' ' + err);
+                                return;
+                            }
+                            trackNewVersion(filePath, cmisFileProperties, data, function() {
+                                grunt.log.ok('reverted', filePath, 'to version', versionLabel);
+                                callback();
+                            });
+                        });
+                    });
+                });
+            });
+        },
+
+        /**
+         * Brings local file and the repository document in sync: pulls remote changes, pushes local changes.
+         * If both were changed, saves the repository content beside the local file (faq.remote.html), 
+         * leaving local file as is.
+         * 
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback - called with error or with one of SyncStates, detected before sync
+         */
+        syncFile: function(localDir, cmisFileProperties, callback) {
+            var filePath = localDir + '/' + cmisFileProperties.getName();
+
+            grunt.file.mkdir(localDir);
+
+            fs.readFile(filePath, function(readError, data) {
+                var knownState = readError ? null : getKnownSyncState(cmisFileProperties, data);
+                if (knownState === syncStates.unchanged) {
+                    callback(null, knownState);
+                    return;
+                }
+                if (knownState === syncStates.localModified) {
+                    doUpload(filePath, cmisFileProperties, data, function(err) {
+                        callback(err, knownState);
+                    });
+                    return;
+                }
+
+                getRemoteContent(cmisFileProperties.getObjectId(), filePath, function(err, remoteData) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+
+                    if (readError) {
+                        // file doesnt exist - just download remote
+                        writeFile(filePath, cmisFileProperties, remoteData, function(err) {
+                            callback(err, syncStates.missingLocally);
+                        });
+                        return;
+                    }
+
+                    var state = getSyncState(cmisFileProperties, data, remoteData);
+                    if (state === syncStates.unchanged) {
+                        versionRegistry.setVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion(), filePath, data, cmisFileProperties);
+                        callback(null, state);
+                    } else if (state === syncStates.remoteModified) {
+                        writeFile(filePath, cmisFileProperties, remoteData, function(err) {
+                            callback(err, state);
+                        });
+                    } else if (state === syncStates.localModified) {
+                        doUpload(filePath, cmisFileProperties, data, function(err) {
+                            callback(err, state);
+                        });
+                    } else {
+                        var remoteCopyPath = remoteCopyOf(filePath);
+                        fs.writeFile(remoteCopyPath, remoteData, function(err) {
+                            if (err) {
+                                callback('error writing file ' + remoteCopyPath + ' ' + err);
+                                return;
+                            }
+                            grunt.log.error('Conflict:', filePath, 'was changed both locally and in CMS. CMS content saved to', remoteCopyPath);
+                            RunReport.skipped(filePath, 'conflict');
+                            callback(null, state);
+                        });
+                    }
+                });
+            });
         }
     };
 };
@@ -1,12 +1,13 @@
-var actions = require('./Actions');
 var async = require('async');
-var grunt = require('grunt');
-var FileIO = require('./FileIO');
+var FileActions = require('./FileActions');
+var RunReport = require('./RunReport');
+var CmisError = require('./CmisError');
 var cmisFilePropertiesFactory = require('./CmisFileProperties');
 
 module.exports = function(cmisSession, options, cmisPath, localPath, action) {
-    var fileIO = FileIO.create(cmisSession, options);
-    var documents = [];
+    var fileActions = FileActions.create(cmisSession, options, action);
+    // processed folders, by path relative to cmisPath
+    var folders = {};
     
     /**
      * Process cmis object. It could be file or folder.
@@ -28,7 +29,12 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
 
     return {
         process: process,
-        documents: documents
+        documents: fileActions.documents,
+        files: fileActions.files,
+        folders: folders,
+        statuses: fileActions.statuses,
+        diffs: fileActions.diffs,
+        histories: fileActions.histories
     };
     
     
@@ -46,6 +52,7 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
     function createTask(parentPath, cmisFileProperties) {
         return function(callback) {
             if (cmisFileProperties.isFolder()) {
+                folders[cmisFileProperties.getPath().slice(cmisPath.length + 1)] = cmisFileProperties;
                 processFolder(cmisFileProperties, callback);
             } else {
                 processFile(parentPath, cmisFileProperties, callback);
@@ -58,38 +65,27 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
         cmisSession.getChildren(cmisFileProperties.getObjectId()).ok(function(children) {
                 var tasks = [];
                 children.objects.forEach(function(entry) {
-                        tasks.push(createTask( cmisFileProperties.getPath(), cmisFilePropertiesFactory(entry.object) ));
+                        var childProperties = cmisFilePropertiesFactory(entry.object);
+                        var childPath = cmisFileProperties.getPath() + '/' + childProperties.getName();
+                        if (fileActions.accepts(childPath, childProperties)) {
+                            tasks.push(createTask( cmisFileProperties.getPath(), childProperties ));
+                        }
                 });
 
                 async.parallel(tasks, function(err, results) {
                     callback(err);
                 });
+        }).notOk(function(response) {
+            var folderPath = cmisFileProperties.getPath();
+            var track = RunReport.track(localPath + folderPath.slice(cmisPath.length), options, callback);
+            track(CmisError.fromResponse(response, folderPath, 'failed to get folder'));
         });        
         
     }
 
     function processFile(path, cmisFileProperties, callback) {
-        
-        var fileDir = path.slice(cmisPath.length + 1);
-        var localDir;
-        if (fileDir) {
-            localDir = localPath + '/' + fileDir;
-        } else {
-            localDir = localPath;
-        }
-
-        if (action === actions.upload) {
-            fileIO.uploadFile(localDir, cmisFileProperties, callback);
-        } else if (action === actions.download){
-            fileIO.downloadFile(localDir, cmisFileProperties, callback);
-        } else {
-            // log progress
-            grunt.log.write('.');
-            
-            documents.push(fileDir + '/' + cmisFileProperties.getName());
-            callback();
-        }
-    }    
+        fileActions.processFile(cmisPath, localPath, path, cmisFileProperties, callback);
+    }
 
 };
 
@@ -1,13 +1,14 @@
-var actions = require('./Actions');
 var async = require('async');
-var grunt = require('grunt');
-var FileIO = require('./FileIO');
+var FileActions = require('./FileActions');
+var RunReport = require('./RunReport');
+var CmisError = require('./CmisError');
 var cmisFilePropertiesFactory = require('./CmisFileProperties');
 var _ = require('underscore');
 
 module.exports = function(cmisSession, options, cmisPath, localPath, action) {
-    var fileIO = FileIO.create(cmisSession, options);
-    var documents = [];
+    var fileActions = FileActions.create(cmisSession, options, action);
+    // processed folders, by path relative to cmisPath
+    var folders = {};
 
     function process(object, callback) {
         if (object.objects == null) {
@@ -54,6 +55,8 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
     function createTask(parentPath, cmisFileProperties) {
         return function(callback) {
             if (cmisFileProperties.isFolder()) {
+                folders[cmisFileProperties.getPath().slice(cmisPath.length + 1)] = cmisFileProperties;
+
                 // get collection
                 cmisSession.getObject(cmisFileProperties.getObjectId()).ok(function(collection) {
                     // check if collection is empty
@@ -63,6 +66,10 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
                     }
                     
                     processFolder(cmisFileProperties.getPath(), collection, callback);
+                }).notOk(function(response) {
+                    var folderPath = cmisFileProperties.getPath();
+                    var track = RunReport.track(localPath + folderPath.slice(cmisPath.length), options, callback);
+                    track(CmisError.fromResponse(response, folderPath, 'failed to get folder'));
                 });
             } else {
                 processFile(parentPath, cmisFileProperties, callback);
@@ -74,7 +81,11 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
     function processFolder(path, collection, callback) {
         var tasks = [];
         collection.objects.forEach(function(entry) {
-            tasks.push(createTask(path, cmisFilePropertiesFactory(entry)));
+            var childProperties = cmisFilePropertiesFactory(entry);
+            var childPath = path + '/' + childProperties.getName();
+            if (fileActions.accepts(childPath, childProperties)) {
+                tasks.push(createTask(path, childProperties));
+            }
         });
 
         async.parallel(tasks, function(err, results) {
@@ -83,50 +94,17 @@ module.exports = function(cmisSession, options, cmisPath, localPath, action) {
     }
 
     function processFile(path, cmisFileProperties, callback) {
-        var fileDir = path.slice(cmisPath.length + 1);
-        var localDir;
-        if (fileDir) {
-            localDir = localPath + '/' + fileDir;
-        } else {
-            localDir = localPath;
-        }
-
-        if (action === actions.upload) {
-            cmisFileProperties.setParentPath(path);
-            fileIO.uploadFile(localDir, cmisFileProperties, callback);
-//            fileIO.uploadFile(localDir, fileName, objectId, mimeType, function(err){
-//                // update version registry on success
-//                if(err){
-//                    callback(err);
-//                }else{
-//                    // get new version
-//                    cmisSession.getObject(objectId).ok(function(updatedObject) {
-//                        console.log(updatedObject)
-//                        //registry[nodeId] = updatedObject.succinctProperties["cmis:versionLabel"];
-//                        callback();
-//                    }).notOk(function(response) {
-//                        var status = response.statusCode ? response.statusCode : "";
-//                        var error = response.error ? response.error : "";
-//                        callback('failed to get content: ' + status + " " + cmisPath + "\n" + error);
-//                    });
-//                }
-//            });
-            
-        } else if (action === actions.download){
-//            registry[nodeId] = version;
-            fileIO.downloadFile(localDir, cmisFileProperties, callback);
-        } else {
-            // log progress
-            grunt.log.write('.');
-            
-            documents.push(fileDir + '/' + cmisFileProperties.getName());
-            callback();
-        }
-    }    
+        fileActions.processFile(cmisPath, localPath, path, cmisFileProperties, callback);
+    }
     
     return {
         process: process,
-        documents: documents
+        documents: fileActions.documents,
+        files: fileActions.files,
+        folders: folders,
+        statuses: fileActions.statuses,
+        diffs: fileActions.diffs,
+        histories: fileActions.histories
     };
 
 };
@@ -0,0 +1,87 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+var CmisError = require('./CmisError');
+var Columns = require('./Columns');
+var cmisFilePropertiesFactory = require('./CmisFileProperties');
+
+// label, author and date columns, each followed by a space
+function pad(text, width) {
+    return Columns.pad(text, width) + ' ';
+}
+
+function formatDate(date) {
+    return date != null ? new Date(date).toISOString() : null;
+}
+
+/**
+ * Factory method creates History object.
+ *
+ * @param cmisSession
+ * @returns {
+ *      getVersions: function(cmisFileProperties, callback)
+ * }
+ */
+exports.create = function(cmisSession) {
+    return {
+        /**
+         * Gets all versions of the document, latest first.
+         *
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback - called with error or with array of versions: {label, author, date, comment}
+         */
+        getVersions: function(cmisFileProperties, callback) {
+            cmisSession.getAllVersions(cmisFileProperties.getObjectId()).ok(function(versions) {
+                callback(null, versions.map(function(version) {
+                    var versionProperties = cmisFilePropertiesFactory.fromObject(version);
+                    return {
+                        label: versionProperties.getVersion(),
+                        author: versionProperties.getLastModifiedBy(),
+                        date: formatDate(versionProperties.getLastModificationDate()),
+                        comment: versionProperties.getCheckinComment() || ''
+                    };
+                }));
+            }).notOk(function(response) {
+                callback(CmisError.fromResponse(response, cmisFileProperties.getName(), 'failed to get versions of'));
+            });
+        }
+    };
+};
+
+/**
+ * Prints versions of every document: label, author, date and check-in comment.
+ * With json option, prints versions as JSON, or writes them to the file, if json option is a file name.
+ *
+ * @argument {Object} histories - arrays of versions by document path
+ * @argument json - true, or JSON file name
+ */
+exports.print = function(histories, json) {
+    var paths = Object.keys(histories).sort();
+
+    if (json) {
+        var sorted = {};
+        paths.forEach(function(path) {
+            sorted[path] = histories[path];
+        });
+        if (typeof json === 'string') {
+            grunt.file.write(json, JSON.stringify(sorted, null, 2));
+            grunt.log.ok('History written to', json);
+        } else {
+            console.log(JSON.stringify(sorted, null, 2));
+        }
+        return;
+    }
+
+    paths.forEach(function(path) {
+        console.log();
+        grunt.log.ok(path);
+        histories[path].forEach(function(version) {
+            console.log('  ' + pad(version.label || '', 8) + pad(version.author || '') + pad(version.date || '', 24) + version.comment);
+        });
+    });
+};
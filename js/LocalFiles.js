@@ -0,0 +1,44 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+
+/**
+ * Lists files in localPath folder and its sub-folders.
+ * 
+ * @argument {String} localPath
+ * @argument {PathFilter} pathFilter - optional, files it doesn't accept are not listed
+ * @return {Array} file paths relative to localPath, or empty array if localPath is not a folder
+ */
+exports.listFiles = function(localPath, pathFilter) {
+    var files = [];
+    if (!grunt.file.isDir(localPath)) {
+        return files;
+    }
+    grunt.file.recurse(localPath, function(abspath, rootdir, subdir, filename) {
+        files.push(subdir ? subdir + '/' + filename : filename);
+    });
+    if (pathFilter) {
+        files = files.filter(function(file) {
+            return pathFilter.acceptsLocalPath(localPath + '/' + file, false);
+        });
+    }
+    return files;
+};
+
+/**
+ * Lists sub-folders of localPath folder recursively.
+ * 
+ * @argument {String} localPath
+ * @return {Array} folder paths relative to localPath, or empty array if localPath is not a folder
+ */
+exports.listFolders = function(localPath) {
+    if (!grunt.file.isDir(localPath)) {
+        return [];
+    }
+    return grunt.file.expand({cwd: localPath, filter: 'isDirectory', dot: true}, '**/*');
+};
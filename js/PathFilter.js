@@ -0,0 +1,141 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+var VersionRegistry = require('./VersionRegistry');
+var PropertiesSidecar = require('./PropertiesSidecar');
+
+var IGNORE_FILE = '.cmiscopyignore';
+
+// copies of CMS content saved by sync in case of conflict (faq.remote.html),
+// and older versions downloaded beside local files (faq.v1.4.html) are never uploaded
+var LOCAL_COPY = /^(.*)\.(remote|v\d+(\.\d+)*)(\.[^.\/]*)?$/;
+
+// patterns without slashes (*.psd) match file or folder name at any depth
+var MATCH_OPTIONS = {matchBase: true, dot: true};
+
+function removeTrailingSlash(path) {
+    return path.charAt(path.length - 1) === '/' ? path.substring(0, path.length - 1) : path;
+}
+
+// paths outside of the root are matched as they are
+function relativeTo(root, path) {
+    return root && path.indexOf(root + '/') === 0 ? path.slice(root.length + 1) : path;
+}
+
+function toArray(patterns) {
+    if (patterns == null) {
+        return [];
+    }
+    return Array.isArray(patterns) ? patterns : [patterns];
+}
+
+// exclude patterns from ignore file, one per line, # for comments
+function readIgnoreFile(localRoot) {
+    var ignoreFile = localRoot + '/' + IGNORE_FILE;
+    if (!grunt.file.isFile(ignoreFile)) {
+        return [];
+    }
+    return grunt.file.read(ignoreFile).split(/\r?\n/).map(function(line) {
+        return line.trim();
+    }).filter(function(line) {
+        return line && line.charAt(0) !== '#';
+    });
+}
+
+// copy is only told from a file named alike (jquery.v1.11.js) by the file it was saved beside
+function isLocalCopy(localPath) {
+    var match = LOCAL_COPY.exec(localPath);
+    if (match == null) {
+        return false;
+    }
+    var baseFile = match[1] + (match[4] || '');
+    return grunt.file.isFile(baseFile) || VersionRegistry.getDocumentId(baseFile) != null;
+}
+
+/**
+ * Factory method creates PathFilter object.
+ *
+ * Decides which documents and folders are transferred, using options.include and options.exclude
+ * glob patterns, and exclude patterns from .cmiscopyignore file in localRoot.
+ * Patterns are matched against the path relative to cmisRoot (or localRoot, for local files).
+ * Include patterns apply to documents only, exclude patterns apply to documents and folders.
+ * Copies saved beside local files (faq.remote.html, faq.v1.4.html) are never accepted,
+ * while the file they were saved beside (faq.html) exists or is tracked.
+ *
+ * @param options - options object provided in task config
+ * @returns {
+ *      acceptsCmisPath: function(cmisPath, isFolder),
+ *      acceptsLocalPath: function(localPath, isFolder)
+ * }
+ */
+exports.create = function(options) {
+    var cmisRoot = removeTrailingSlash(options.cmisRoot || '');
+    var localRoot = removeTrailingSlash(options.localRoot || '.');
+    var includes = toArray(options.include);
+    var excludes = toArray(options.exclude).concat(readIgnoreFile(localRoot), IGNORE_FILE);
+
+    // version registry (with its lock and temp files) is kept in localRoot by default
+    var registryFile = VersionRegistry.getFile(options);
+    if (registryFile.indexOf(localRoot + '/') === 0) {
+        excludes.push(relativeTo(localRoot, registryFile), relativeTo(localRoot, registryFile) + '.*');
+    }
+    // properties sidecar files are not documents
+    if (PropertiesSidecar.isEnabled(options)) {
+        excludes.push(PropertiesSidecar.PATTERN);
+    }
+
+    function isExcluded(path, isFolder) {
+        // document is excluded if any of its parent folders is excluded
+        var folders = path.split('/');
+        var name = isFolder ? null : folders.pop();
+        var folder = '';
+        var excluded = folders.some(function(folderName) {
+            folder = folder + folderName + '/';
+            return grunt.file.isMatch(MATCH_OPTIONS, excludes, [folder, folder.slice(0, -1)]);
+        });
+        return excluded || (name != null && grunt.file.isMatch(MATCH_OPTIONS, excludes, path));
+    }
+
+    function isIncluded(path) {
+        return includes.length === 0 || grunt.file.isMatch(MATCH_OPTIONS, includes, path);
+    }
+
+    function accepts(root, path, isFolder) {
+        if (path === root) {
+            return true;
+        }
+        var relativePath = relativeTo(root, path);
+        if (isExcluded(relativePath, isFolder)) {
+            return false;
+        }
+        return isFolder || isIncluded(relativePath);
+    }
+
+    return {
+        /**
+         * @argument {String} cmisPath - full path of the document or folder in CMS
+         * @argument {Boolean} isFolder
+         * @return true if document or folder should be processed
+         */
+        acceptsCmisPath: function(cmisPath, isFolder) {
+            return accepts(cmisRoot, cmisPath, isFolder);
+        },
+
+        /**
+         * @argument {String} localPath - path of the local file or folder
+         * @argument {Boolean} isFolder
+         * @return true if file or folder should be processed
+         */
+        acceptsLocalPath: function(localPath, isFolder) {
+            if (!isFolder && isLocalCopy(localPath)) {
+                return false;
+            }
+            return accepts(localRoot, localPath, isFolder);
+        }
+    };
+};
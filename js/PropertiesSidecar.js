@@ -0,0 +1,214 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var fs = require('fs');
+var grunt = require('grunt');
+var versionRegistry = require('./VersionRegistry');
+var RunReport = require('./RunReport');
+var CmisError = require('./CmisError');
+
+// faq.html -> .faq.html.properties.json
+var SUFFIX = '.properties.json';
+
+/**
+ * Glob pattern of sidecar files, to keep them out of CMS
+ */
+exports.PATTERN = '.*' + SUFFIX;
+
+/**
+ * @argument options - options object provided in task config
+ * @return {Array} ids of properties to sync, from options.properties
+ */
+exports.getPropertyIds = function(options) {
+    if (options.properties == null) {
+        return [];
+    }
+    return Array.isArray(options.properties) ? options.properties : [options.properties];
+};
+
+/**
+ * @argument options - options object provided in task config
+ * @return true if document properties are synced
+ */
+exports.isEnabled = function(options) {
+    return exports.getPropertyIds(options).length > 0;
+};
+
+/**
+ * @argument {String} filePath - local path of the document
+ * @return {String} path of its sidecar file
+ */
+exports.getFile = function(filePath) {
+    var index = filePath.lastIndexOf('/');
+    return filePath.slice(0, index + 1) + '.' + filePath.slice(index + 1) + SUFFIX;
+};
+
+/**
+ * Deletes sidecar file of the document, if there is one.
+ *
+ * @argument {String} filePath - local path of the deleted document
+ */
+exports.remove = function(filePath) {
+    var sidecarFile = exports.getFile(filePath);
+    if (grunt.file.isFile(sidecarFile)) {
+        fs.unlinkSync(sidecarFile);
+    }
+};
+
+/**
+ * Factory method creates PropertiesSidecar object.
+ *
+ * Keeps properties listed in options.properties (e.g. cm:title) in a JSON file beside each document:
+ * download writes them, upload sends edited ones back to CMS. Values written at download are kept in
+ * version registry, as a common base telling which side edited a property.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @returns {
+ *      download: function(localDir, cmisFileProperties, callback),
+ *      upload: function(localDir, cmisFileProperties, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+    var propertyIds = exports.getPropertyIds(options);
+
+    function getProperties(cmisFileProperties) {
+        var properties = {};
+        propertyIds.forEach(function(id) {
+            var value = cmisFileProperties.getProperty(id);
+            if (value !== undefined) {
+                properties[id] = value;
+            }
+        });
+        return properties;
+    }
+
+    function isSame(value1, value2) {
+        return JSON.stringify(value1) === JSON.stringify(value2);
+    }
+
+    // updating properties makes new modification date (and maybe new version) - keep tracking the file
+    function refreshVersion(filePath, cmisFileProperties, callback) {
+        cmisFileProperties.getLatestVersion(cmisSession, function(err, newVersion, latestProperties) {
+            if (err) {
+                grunt.log.error("Could not refresh file version", filePath, err);
+                callback();
+                return;
+            }
+            fs.readFile(filePath, function(err, data) {
+                if (!err && !versionRegistry.isContentChanged(cmisFileProperties.getNodeId(), data)) {
+                    versionRegistry.setVersion(cmisFileProperties.getNodeId(), newVersion, filePath, data, latestProperties);
+                }
+                callback();
+            });
+        });
+    }
+
+    return {
+        /**
+         * Writes properties of the document to its sidecar file, unless they are there already,
+         * and keeps them as the base of local edits.
+         *
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback
+         */
+        download: function(localDir, cmisFileProperties, callback) {
+            var sidecarFile = exports.getFile(localDir + '/' + cmisFileProperties.getName());
+            var properties = getProperties(cmisFileProperties);
+            var content = JSON.stringify(properties, null, 2) + '\n';
+
+            if (options.dryRun === true) {
+                callback();
+                return;
+            }
+            if (grunt.file.isFile(sidecarFile) && grunt.file.read(sidecarFile) === content) {
+                versionRegistry.setProperties(cmisFileProperties.getNodeId(), properties);
+                callback();
+                return;
+            }
+
+            fs.writeFile(sidecarFile, content, function(err) {
+                if (err) {
+                    callback('error writing file ' + sidecarFile + ' ' + err);
+                    return;
+                }
+                versionRegistry.setProperties(cmisFileProperties.getNodeId(), properties);
+                callback();
+            });
+        },
+
+        /**
+         * Sends properties edited in the sidecar file since download to CMS.
+         * Properties not listed in options.properties are ignored. Properties also edited in CMS since then
+         * are conflicts: they are skipped, and reported.
+         *
+         * @argument {String} localDir
+         * @argument {CmisFileProperties} cmisFileProperties
+         * @argument {Function} callback
+         */
+        upload: function(localDir, cmisFileProperties, callback) {
+            var filePath = localDir + '/' + cmisFileProperties.getName();
+            var sidecarFile = exports.getFile(filePath);
+            if (!grunt.file.isFile(sidecarFile)) {
+                callback();
+                return;
+            }
+
+            var localProperties;
+            try {
+                localProperties = JSON.parse(grunt.file.read(sidecarFile));
+            } catch (e) {
+                callback('invalid properties file ' + sidecarFile + ' ' + e.message);
+                return;
+            }
+
+            var remoteProperties = getProperties(cmisFileProperties);
+            // without base (sidecar file not written by download), any difference is a conflict
+            var baseProperties = versionRegistry.getProperties(cmisFileProperties.getNodeId());
+            var changed = {};
+            var conflicts = [];
+            propertyIds.forEach(function(id) {
+                if (!localProperties.hasOwnProperty(id) || isSame(localProperties[id], remoteProperties[id]) ||
+                        (baseProperties != null && isSame(localProperties[id], baseProperties[id]))) {
+                    return;
+                }
+                if (baseProperties != null && isSame(baseProperties[id], remoteProperties[id])) {
+                    changed[id] = localProperties[id];
+                } else {
+                    conflicts.push(id);
+                }
+            });
+            if (conflicts.length > 0) {
+                RunReport.skipped(sidecarFile, 'conflict: ' + conflicts.join(', '));
+                grunt.log.error("Can't update", conflicts.join(', '), 'of', filePath, '- changed in CMS too. Please download latest version.');
+            }
+            if (Object.keys(changed).length === 0) {
+                callback();
+                return;
+            }
+
+            if (options.dryRun === true) {
+                grunt.log.ok('would update properties of', filePath + ':', Object.keys(changed).join(', '));
+                callback();
+                return;
+            }
+
+            // by version series id: uploaded content may have made cmisFileProperties an old version
+            cmisSession.updateProperties(cmisFileProperties.getNodeId(), changed).ok(function() {
+                grunt.log.ok('updated properties of', filePath + ':', Object.keys(changed).join(', '));
+                // properties edited in CMS are not in the sidecar file yet - they stay at their base value
+                versionRegistry.setProperties(cmisFileProperties.getNodeId(), grunt.util._.extend({}, baseProperties, changed));
+                refreshVersion(filePath, cmisFileProperties, callback);
+            }).notOk(function(response) {
+                callback(CmisError.fromResponse(response, filePath, 'failed to update properties of'));
+            }).error(function(err) {
+                callback(CmisError.fromNetworkError(err, filePath, 'failed to update properties of'));
+            });
+        }
+    };
+};
@@ -0,0 +1,300 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var fs = require('fs');
+var async = require('async');
+var grunt = require('grunt');
+var versionRegistry = require('./VersionRegistry');
+var LocalFiles = require('./LocalFiles');
+var PathFilter = require('./PathFilter');
+var CmisError = require('./CmisError');
+var RunReport = require('./RunReport');
+var PropertiesSidecar = require('./PropertiesSidecar');
+
+/**
+ * Deletes local file of the document deleted in CMS, unless it was changed since last download or upload.
+ * In dry run (options.dryRun) it only reports what would be deleted.
+ *
+ * @argument {String} filePath
+ * @argument {String} documentId - id of the document, as tracked in VersionRegistry
+ * @argument options - options object provided in task config
+ * @argument {Function} callback - called with error, or with true if file was (or would be) deleted
+ */
+exports.deleteLocalFile = function(filePath, documentId, options, callback) {
+    fs.readFile(filePath, function(err, data) {
+        if (err) {
+            callback('unable to read file ' + filePath);
+            return;
+        }
+
+        // local edits would be lost
+        if (versionRegistry.isContentChanged(documentId, data)) {
+            grunt.log.error("Can't delete", filePath, "- modified locally.");
+            RunReport.skipped(filePath, 'modified locally');
+            callback(null, false);
+            return;
+        }
+
+        if (options.dryRun === true) {
+            grunt.log.ok('would delete', filePath);
+            callback(null, true);
+            return;
+        }
+
+        fs.unlink(filePath, function(err) {
+            if (err) {
+                callback('error deleting file ' + filePath + ' ' + err);
+                return;
+            }
+            versionRegistry.removeVersion(documentId);
+            PropertiesSidecar.remove(filePath);
+            grunt.log.ok('deleted', filePath);
+            callback(null, true);
+        });
+    });
+};
+
+/**
+ * Factory method creates Pruner object.
+ *
+ * Pruner mirrors deletions: it removes documents that exist only on one side,
+ * and folders left empty by that. Nothing is deleted unless it is in sync with VersionRegistry.
+ * In dry run (options.dryRun) it only reports what would be deleted.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @returns {
+ *      pruneRemote: function(cmisPath, localPath, remoteFiles, remoteFolders, callback),
+ *      pruneLocal: function(localPath, remoteFiles, remoteFolders, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+
+    function isInFolder(path, folder) {
+        return path.indexOf(folder + '/') === 0;
+    }
+
+    // marks all parent folders of the path
+    function markParentFolders(path, folders) {
+        var index = path.lastIndexOf('/');
+        while (index > 0) {
+            path = path.slice(0, index);
+            folders[path] = true;
+            index = path.lastIndexOf('/');
+        }
+    }
+
+    // deepest folders first, so parent folders are empty by the time they are processed
+    function byDepth(folder1, folder2) {
+        return folder2.split('/').length - folder1.split('/').length;
+    }
+
+    function printPruneList(paths) {
+        grunt.log.ok('Pruning', paths.length, paths.length === 1 ? 'document:' : 'documents:');
+        paths.forEach(function(path) {
+            grunt.log.writeln('  ' + path);
+        });
+    }
+
+    return {
+        /**
+         * Deletes documents in CMS that don't exist locally, and remote folders left empty.
+         *
+         * @argument {String} cmisPath
+         * @argument {String} localPath
+         * @argument {Object} remoteFiles - CmisFileProperties of remote documents, by path relative to cmisPath
+         * @argument {Object} remoteFolders - CmisFileProperties of remote folders, by path relative to cmisPath
+         * @argument {Function} callback
+         */
+        pruneRemote: function(cmisPath, localPath, remoteFiles, remoteFolders, callback) {
+            var localFiles = {};
+            LocalFiles.listFiles(localPath).forEach(function(file) {
+                localFiles[file] = true;
+            });
+
+            var remaining = {};
+            // folders that had documents deleted from them
+            var prunedFolders = {};
+            var toDelete = [];
+            Object.keys(remoteFiles).forEach(function(file) {
+                if (localFiles[file]) {
+                    remaining[file] = true;
+                } else {
+                    toDelete.push(file);
+                }
+            });
+
+            if (toDelete.length === 0) {
+                callback();
+                return;
+            }
+
+            printPruneList(toDelete.sort().map(function(file) {
+                return cmisPath + '/' + file;
+            }));
+
+            async.eachSeries(toDelete, function(file, done) {
+                var cmisFileProperties = remoteFiles[file];
+                var filePath = cmisPath + '/' + file;
+                // reported by local path, as upload reports the document
+                var reportPath = localPath + '/' + file;
+
+                // dont delete if version doesnt match
+                if (!versionRegistry.hasVersion(cmisFileProperties.getNodeId(), cmisFileProperties.getVersion())) {
+                    grunt.log.error("Can't delete", filePath, "- out of sync. Please download latest version.");
+                    RunReport.skipped(reportPath, 'out of sync');
+                    remaining[file] = true;
+                    done();
+                    return;
+                }
+
+                if (options.dryRun === true) {
+                    markParentFolders(file, prunedFolders);
+                    grunt.log.ok('would delete', filePath);
+                    done();
+                    return;
+                }
+
+                var allVersions = true;
+                var track = RunReport.track(reportPath, options, done);
+                cmisSession.deleteObject(cmisFileProperties.getObjectId(), allVersions).ok(function() {
+                    versionRegistry.removeVersion(cmisFileProperties.getNodeId());
+                    markParentFolders(file, prunedFolders);
+                    grunt.log.ok('deleted', filePath);
+                    track();
+                }).notOk(function(response) {
+                    // document is left in CMS, along with its folder
+                    remaining[file] = true;
+                    track(CmisError.fromResponse(response, filePath, 'failed to delete'));
+                });
+
+            }, function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                // delete remote folders that don't exist locally and have nothing left in them
+                var folders = Object.keys(prunedFolders).filter(function(folder) {
+                    return remoteFolders[folder] != null;
+                }).sort(byDepth);
+                async.eachSeries(folders, function(folder, done) {
+                    var folderPath = cmisPath + '/' + folder;
+                    var isEmpty = !Object.keys(remaining).some(function(path) {
+                        return isInFolder(path, folder);
+                    });
+
+                    if (!isEmpty || grunt.file.isDir(localPath + '/' + folder)) {
+                        remaining[folder] = true;
+                        done();
+                        return;
+                    }
+
+                    if (options.dryRun === true) {
+                        grunt.log.ok('would delete folder', folderPath);
+                        done();
+                        return;
+                    }
+
+                    cmisSession.deleteObject(remoteFolders[folder].getObjectId()).ok(function() {
+                        grunt.log.ok('deleted folder', folderPath);
+                        done();
+                    }).notOk(function(response) {
+                        done(CmisError.fromResponse(response, folderPath, 'failed to delete folder'));
+                    });
+                }, callback);
+            });
+        },
+
+        /**
+         * Deletes local files that don't exist in CMS, and local folders left empty.
+         * Only files tracked in VersionRegistry (previously downloaded or uploaded) are deleted.
+         *
+         * @argument {String} localPath
+         * @argument {Object} remoteFiles - CmisFileProperties of remote documents, by path relative to cmisPath
+         * @argument {Object} remoteFolders - CmisFileProperties of remote folders, by path relative to cmisPath
+         * @argument {Function} callback
+         */
+        pruneLocal: function(localPath, remoteFiles, remoteFolders, callback) {
+            // excluded files are not in remoteFiles - leave them alone
+            var toDelete = LocalFiles.listFiles(localPath, PathFilter.create(options)).filter(function(file) {
+                return remoteFiles[file] == null;
+            });
+
+            if (toDelete.length === 0) {
+                callback();
+                return;
+            }
+
+            printPruneList(toDelete.sort().map(function(file) {
+                return localPath + '/' + file;
+            }));
+
+            // folders that had files deleted from them
+            var prunedFolders = {};
+            // files that would be deleted, in dry run
+            var dryRunDeleted = {};
+
+            async.eachSeries(toDelete, function(file, done) {
+                var filePath = localPath + '/' + file;
+                var documentId = versionRegistry.getDocumentId(filePath);
+
+                // dont delete files that never came from CMS
+                if (documentId == null) {
+                    grunt.log.error("Can't delete", filePath, "- not tracked in version registry.");
+                    RunReport.skipped(filePath, 'not tracked');
+                    done();
+                    return;
+                }
+
+                exports.deleteLocalFile(filePath, documentId, options, function(err, deleted) {
+                    if (deleted) {
+                        dryRunDeleted[file] = true;
+                        markParentFolders(file, prunedFolders);
+                    }
+                    done(err);
+                });
+
+            }, function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                // delete local folders that don't exist in CMS and have nothing left in them
+                var folders = Object.keys(prunedFolders).sort(byDepth);
+                async.eachSeries(folders, function(folder, done) {
+                    var folderPath = localPath + '/' + folder;
+                    if (options.dryRun === true) {
+                        var wouldBeEmpty = LocalFiles.listFiles(folderPath).every(function(child) {
+                            return dryRunDeleted[folder + '/' + child];
+                        });
+                        if (remoteFolders[folder] == null && wouldBeEmpty) {
+                            grunt.log.ok('would delete folder', folderPath);
+                        }
+                        done();
+                        return;
+                    }
+
+                    if (remoteFolders[folder] != null || fs.readdirSync(folderPath).length > 0) {
+                        done();
+                        return;
+                    }
+
+                    fs.rmdir(folderPath, function(err) {
+                        if (err) {
+                            done('error deleting folder ' + folderPath + ' ' + err);
+                            return;
+                        }
+                        grunt.log.ok('deleted folder', folderPath);
+                        done();
+                    });
+                }, callback);
+            });
+        }
+    };
+};
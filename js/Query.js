@@ -0,0 +1,163 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var async = require('async');
+var grunt = require('grunt');
+var CmisError = require('./CmisError');
+var DocumentFetcher = require('./DocumentFetcher');
+
+// results requested at once
+var PAGE_SIZE = 100;
+
+/**
+ * Error of query run with legacy CMIS binding: results come without succinct properties
+ */
+exports.BROWSER_BINDING_REQUIRED = 'query needs CMIS browser binding - url has to point to it, e.g. http://cmis.alfresco.com/cmisbrowser';
+
+function isInFolder(path, folder) {
+    return path != null && (path === folder || path.indexOf(folder + '/') === 0);
+}
+
+/**
+ * Factory method creates Query object.
+ *
+ * Runs CMIS query (e.g. SELECT * FROM cmis:document WHERE cmis:lastModifiedBy = 'jsmith'),
+ * finds paths of the results, and optionally downloads them.
+ *
+ * @param cmisSession
+ * @param options - options object provided in task config
+ * @returns {
+ *      run: function(statement, callback),
+ *      download: function(cmisPath, localPath, results, callback)
+ * }
+ */
+exports.create = function(cmisSession, options) {
+
+    // gets all pages of results
+    function getResults(statement, skipCount, results, callback) {
+        var searchAllVersions = false;
+        cmisSession.query(statement, searchAllVersions, {maxItems: PAGE_SIZE, skipCount: skipCount}).ok(function(page) {
+            if (page.results == null) {
+                callback('query is not supported by the repository');
+                return;
+            }
+            results = results.concat(page.results);
+            if (page.hasMoreItems && page.results.length > 0) {
+                getResults(statement, skipCount + page.results.length, results, callback);
+                return;
+            }
+            callback(null, results);
+        }).notOk(function(response) {
+            callback(CmisError.fromResponse(response, statement, 'failed to run query'));
+        });
+    }
+
+    /**
+     * Finds path of the document (first one, if document is in many folders).
+     * Calls back with null if document is not in any folder.
+     */
+    function getPath(objectId, callback) {
+        cmisSession.getParents(objectId, {includeRelativePathSegment: true}).ok(function(parents) {
+            if (parents.length === 0) {
+                callback(null, null);
+                return;
+            }
+            var parentPath = parents[0].object.succinctProperties['cmis:path'];
+            callback(null, (parentPath === '/' ? '' : parentPath) + '/' + parents[0].relativePathSegment);
+        }).notOk(function(response) {
+            callback(CmisError.fromResponse(response, objectId, 'failed to get folder of'));
+        });
+    }
+
+    return {
+        /**
+         * Runs the query, and finds path of every result.
+         *
+         * @argument {String} statement - CMIS query, has to select cmis:objectId
+         * @argument {Function} callback - called with error or with array of results: {path, properties}
+         */
+        run: function(statement, callback) {
+            getResults(statement, 0, [], function(err, results) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                async.mapSeries(results, function(result, done) {
+                    var properties = result.succinctProperties;
+                    if (properties == null) {
+                        done(exports.BROWSER_BINDING_REQUIRED);
+                        return;
+                    }
+                    if (properties['cmis:objectId'] == null) {
+                        done('query has to select cmis:objectId');
+                        return;
+                    }
+                    if (properties['cmis:path'] != null) {
+                        // folder
+                        done(null, {path: properties['cmis:path'], properties: properties});
+                        return;
+                    }
+                    getPath(properties['cmis:objectId'], function(err, path) {
+                        done(err, {path: path, properties: properties});
+                    });
+                }, callback);
+            });
+        },
+
+        /**
+         * Downloads documents found in cmisPath folder. Other results are skipped.
+         *
+         * @argument {String} cmisPath
+         * @argument {String} localPath
+         * @argument {Array} results - results of the query, as returned by run()
+         * @argument {Function} callback
+         */
+        download: function(cmisPath, localPath, results, callback) {
+            var documentFetcher = DocumentFetcher.create(cmisSession, options);
+            var documents = results.filter(function(result) {
+                return isInFolder(result.path, cmisPath) && result.properties['cmis:path'] == null;
+            });
+            if (documents.length < results.length) {
+                grunt.log.ok(results.length - documents.length, 'results outside of', cmisPath, 'are not downloaded');
+            }
+
+            async.eachSeries(documents, function(document, done) {
+                documentFetcher.downloadDocument(cmisPath, localPath, document.properties['cmis:objectId'], done);
+            }, callback);
+        }
+    };
+};
+
+/**
+ * Prints path and selected properties of every result.
+ * With json option, prints results as JSON, or writes them to the file, if json option is a file name.
+ *
+ * @argument {Array} results - results of the query: {path, properties}
+ * @argument json - true, or JSON file name
+ */
+exports.print = function(results, json) {
+    if (json) {
+        if (typeof json === 'string') {
+            grunt.file.write(json, JSON.stringify(results, null, 2));
+            grunt.log.ok('Query results written to', json);
+        } else {
+            console.log(JSON.stringify(results, null, 2));
+        }
+        return;
+    }
+
+    results.forEach(function(result) {
+        console.log();
+        grunt.log.ok(result.path || result.properties['cmis:objectId'] + ' (not in a folder)');
+        Object.keys(result.properties).sort().forEach(function(name) {
+            console.log('  ' + name + ': ' + JSON.stringify(result.properties[name]));
+        });
+    });
+    console.log();
+    grunt.log.ok(results.length, results.length === 1 ? 'result' : 'results');
+};
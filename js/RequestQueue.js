@@ -0,0 +1,147 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var Retry = require('./Retry');
+
+// default maximum number of requests in flight
+var CONCURRENCY = 10;
+
+// session methods that don't send requests
+var NOT_QUEUED = ['setToken', 'setCredentials', 'setGlobalHandlers', 'getLastResult', 'getContentStreamURL'];
+
+var concurrency = CONCURRENCY;
+var running = 0;
+var waiting = [];
+
+function noop() {}
+
+// calls that can be sent again without changing the result: reads, and overwriting content stream
+function isIdempotent(name) {
+    return (/^get/).test(name) || name === 'loadRepositories' || name === 'query' || name === 'setContentStream';
+}
+
+function next() {
+    while (running < concurrency && waiting.length > 0) {
+        running++;
+        start(waiting.shift());
+    }
+}
+
+function start(task) {
+    var released = false;
+    task(function release() {
+        if (released) {
+            return;
+        }
+        released = true;
+        running--;
+        next();
+    });
+}
+
+/**
+ * Sets maximum number of requests in flight, shared by all sessions and content stream downloads.
+ *
+ * @argument {Number} limit - default is used if not provided
+ */
+exports.setConcurrency = function(limit) {
+    concurrency = limit > 0 ? limit : CONCURRENCY;
+    next();
+};
+
+/**
+ * Runs the task as soon as number of requests in flight allows.
+ * Task is called with release function, that must be called when request is complete.
+ *
+ * @argument {Function} task - function(release)
+ */
+exports.push = function(task) {
+    waiting.push(task);
+    next();
+};
+
+/**
+ * Wraps cmis session, so that its requests are sent through the queue.
+ * Queued requests support ok(), notOk() and error() callbacks, same as CmisRequest,
+ * except that global handlers are called only for requests without their own notOk() or error() callback.
+ * Idempotent requests failed with network error or transient status are retried, as Retry policy allows.
+ *
+ * @argument {Object} session - cmis session
+ * @return {Object} session with queued requests
+ */
+exports.queueSession = function(session) {
+    var queuedSession = Object.create(session);
+    var globalNotOk = noop;
+    var globalError = noop;
+
+    // session calls global error handler on any network error, but failed requests may be retried
+    queuedSession.setGlobalHandlers = function(notOk, error) {
+        globalNotOk = notOk || noop;
+        globalError = error || noop;
+        return session.setGlobalHandlers(notOk, noop);
+    };
+
+    Object.keys(session).forEach(function(name) {
+        if (typeof session[name] !== 'function' || NOT_QUEUED.indexOf(name) !== -1) {
+            return;
+        }
+
+        queuedSession[name] = function() {
+            var args = arguments;
+            var callbacks = {ok: noop, notOk: null, error: null};
+            var retried = isIdempotent(name);
+            var description = name + (typeof args[0] === 'string' ? ' ' + args[0] : '');
+            var queuedRequest = {
+                ok: function(callback) {
+                    callbacks.ok = callback || noop;
+                    return this;
+                },
+                notOk: function(callback) {
+                    callbacks.notOk = callback || noop;
+                    return this;
+                },
+                error: function(callback) {
+                    callbacks.error = callback || noop;
+                    return this;
+                }
+            };
+
+            function send(attempt) {
+                function retry(reason) {
+                    return retried && Retry.schedule(attempt, description, reason, function() {
+                        send(attempt + 1);
+                    });
+                }
+
+                exports.push(function(release) {
+                    session[name].apply(session, args).ok(function() {
+                        release();
+                        callbacks.ok.apply(null, arguments);
+                    }).notOk(function(response) {
+                        release();
+                        if (Retry.isTransient(response.statusCode) && retry(response.statusCode)) {
+                            return;
+                        }
+                        (callbacks.notOk || globalNotOk).apply(null, arguments);
+                    }).error(function(err) {
+                        release();
+                        if (retry(err.message)) {
+                            return;
+                        }
+                        (callbacks.error || globalError)(err);
+                    });
+                });
+            }
+
+            send(1);
+
+            return queuedRequest;
+        };
+    });
+
+    return queuedSession;
+};
@@ -0,0 +1,51 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+
+// default delay before the first retry, doubled for every next one
+var RETRY_DELAY = 1000;
+
+var retries = 0;
+var retryDelay = RETRY_DELAY;
+
+/**
+ * Sets retry policy from options.retries (0 by default) and options.retryDelay (in milliseconds).
+ *
+ * @param options - options object provided in task config
+ */
+exports.configure = function(options) {
+    retries = options.retries > 0 ? options.retries : 0;
+    retryDelay = options.retryDelay >= 0 ? options.retryDelay : RETRY_DELAY;
+};
+
+/**
+ * @argument {Number} statusCode - status code of failed response
+ * @return true if request failed with server error or was throttled, and may succeed if sent again
+ */
+exports.isTransient = function(statusCode) {
+    return statusCode >= 500 || statusCode === 429;
+};
+
+/**
+ * Schedules next attempt of failed request, with exponential backoff, unless all retries are used up.
+ *
+ * @argument {Number} attempt - number of the failed attempt, starting from 1
+ * @argument {String} description - what is retried, for the log
+ * @argument reason - status code or error message
+ * @argument {Function} retry - sends the request again
+ * @return true if retry is scheduled
+ */
+exports.schedule = function(attempt, description, reason, retry) {
+    if (attempt > retries) {
+        return false;
+    }
+    var delay = retryDelay * Math.pow(2, attempt - 1);
+    grunt.log.error('request failed: ' + reason + ' ' + description + ', retrying in ' + delay + ' ms (' + attempt + ' of ' + retries + ')');
+    setTimeout(retry, delay);
+    return true;
+};
@@ -0,0 +1,110 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+
+var SUCCEEDED = 'succeeded';
+var SKIPPED = 'skipped';
+var FAILED = 'failed';
+
+// outcome of every processed file in this run, by local path: {outcome, reason}
+var results = {};
+
+function listOf(outcome) {
+    return Object.keys(results).sort().filter(function(path) {
+        return results[path].outcome === outcome;
+    });
+}
+
+/**
+ * Forgets outcomes of the previous run.
+ */
+exports.reset = function() {
+    results = {};
+};
+
+/**
+ * Records that the file was processed without problems, unless it was skipped.
+ */
+exports.succeeded = function(path) {
+    if (results[path] == null) {
+        results[path] = {outcome: SUCCEEDED};
+    }
+};
+
+/**
+ * @argument {String} path
+ * @argument {String} reason - why the file was not processed, e.g. 'out of sync'
+ */
+exports.skipped = function(path, reason) {
+    results[path] = {outcome: SKIPPED, reason: reason};
+};
+
+/**
+ * @argument {String} path
+ * @argument error - CmisError or error message
+ */
+exports.failed = function(path, error) {
+    results[path] = {outcome: FAILED, reason: error};
+};
+
+/**
+ * Wraps callback of processing the file, recording its outcome.
+ * Unless options.failFast is false, error is passed on, stopping the run. Otherwise it is only logged.
+ *
+ * @argument {String} path - local path of the file
+ * @argument options - options object provided in task config
+ * @argument {Function} callback - function(err)
+ * @return {Function} callback to pass to file operation
+ */
+exports.track = function(path, options, callback) {
+    return function(err) {
+        if (err) {
+            exports.failed(path, err);
+            if (options.failFast === false) {
+                grunt.log.error(err);
+                callback();
+                return;
+            }
+        } else {
+            exports.succeeded(path);
+        }
+        callback.apply(null, arguments);
+    };
+};
+
+/**
+ * @return {Array} errors of failed files
+ */
+exports.getFailures = function() {
+    return listOf(FAILED).map(function(path) {
+        return results[path].reason;
+    });
+};
+
+/**
+ * Prints number of succeeded, skipped and failed files, followed by skipped and failed files with reasons.
+ *
+ * @return {Number} number of failed files
+ */
+exports.print = function() {
+    var skipped = listOf(SKIPPED);
+    var failed = listOf(FAILED);
+
+    console.log();
+    grunt.log.ok('Report:');
+    console.log('  succeeded ' + listOf(SUCCEEDED).length + ', skipped ' + skipped.length + ', failed ' + failed.length);
+
+    skipped.forEach(function(path) {
+        console.log('  skipped ' + path + ' - ' + results[path].reason);
+    });
+    failed.forEach(function(path) {
+        grunt.log.error('failed ' + path + ' - ' + results[path].reason);
+    });
+
+    return failed.length;
+};
@@ -0,0 +1,38 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var grunt = require('grunt');
+var syncStates = require('./SyncStates');
+var pad = require('./Columns').pad;
+
+/**
+ * Prints sync state of every document, followed by a summary table.
+ *
+ * @argument {Object} statuses - SyncStates by document path
+ * @return {Number} number of conflicts
+ */
+exports.print = function(statuses) {
+    var counts = {};
+    Object.keys(syncStates).forEach(function(key) {
+        counts[syncStates[key]] = 0;
+    });
+
+    console.log();
+    Object.keys(statuses).sort().forEach(function(path) {
+        var state = statuses[path];
+        counts[state]++;
+        console.log(pad(state) + path);
+    });
+
+    console.log();
+    grunt.log.ok('Summary:');
+    Object.keys(counts).forEach(function(state) {
+        console.log('  ' + pad(state) + counts[state]);
+    });
+
+    return counts[syncStates.conflict];
+};
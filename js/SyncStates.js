@@ -0,0 +1,13 @@
+exports.unchanged = 'unchanged';
+
+exports.localModified = 'locally modified';
+
+exports.remoteModified = 'remotely modified';
+
+exports.conflict = 'conflict';
+
+exports.newLocally = 'new locally';
+
+exports.missingLocally = 'missing locally';
+
+
@@ -1,40 +1,420 @@
 var jf = require('jsonfile');
 var grunt = require('grunt');
+var crypto = require('crypto');
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
 
-var FILE_NAME = 'cmisregistry.json';
-var registry;
+// registry is kept in localRoot, unless options.registryFile is set
+var FILE_NAME = '.cmisregistry.json';
+// registry used to be kept in current directory, with entries of one repository at top level
+var LEGACY_FILE_NAME = 'cmisregistry.json';
+// entries of each repository are kept under this key, by repository url and id
+var REPOSITORIES = 'repositories';
+// private working copies are kept in the same file, under this key
+var WORKING_COPIES = 'workingCopies';
+// local file paths of tracked documents are kept under this key
+var PATHS = 'paths';
+// hashes of the content that was in sync with tracked version are kept under this key
+var CONTENT_HASHES = 'contentHashes';
+// document properties and local file stats at last sync are kept under this key, to detect changes without getting content
+var SYNC_STATS = 'syncStats';
+// document properties written to properties sidecar file at last download are kept under this key
+var PROPERTIES = 'properties';
+// latest change log token at the time of last download, by cmis path of downloaded folder, are kept under this key
+var CHANGE_LOG_TOKENS = 'changeLogTokens';
+// changes are written this many milliseconds after they are made, so they are not lost if the task fails
+var FLUSH_DELAY = 1000;
 
-init();
+// content of loaded registry files, by file path
+var files = {};
+// entries of the repository being processed
+var registry = createEntries({});
+// registry file the entries are kept in
+var currentFile = null;
+// registry files with changes that are not written yet
+var changedFiles = {};
+var flushTimer = null;
+// lock files created by this process
+var lockFiles = [];
 
+process.on('exit', unlock);
 
-exports.setVersion = function(documentId, version){
-    registry[documentId] = version;
-    
-    // TODO - save to file (non blocking)
-};
 
-exports.hasVersion = function(documentId, version){
-    return registry[documentId] === version;
-};
+function removeTrailingSlash(path) {
+    return path.charAt(path.length - 1) === '/' ? path.substring(0, path.length - 1) : path;
+}
 
-exports.save = function() {
+function createEntries(entries){
+    entries[WORKING_COPIES] = entries[WORKING_COPIES] || {};
+    entries[PATHS] = entries[PATHS] || {};
+    entries[CONTENT_HASHES] = entries[CONTENT_HASHES] || {};
+    entries[SYNC_STATS] = entries[SYNC_STATS] || {};
+    entries[PROPERTIES] = entries[PROPERTIES] || {};
+    entries[CHANGE_LOG_TOKENS] = entries[CHANGE_LOG_TOKENS] || {};
+    return entries;
+}
+
+function readFile(file){
     try{
-        jf.writeFileSync(FILE_NAME, registry);
+        return jf.readFileSync(file);
     }catch(err){
         console.log(err.stack);
         throw err;
     }
-};
+}
+
+// e.g. 1234@buildserver
+function lockOwner(){
+    return process.pid + '@' + os.hostname();
+}
+
+function isRunning(owner){
+    var parts = owner.split('@');
+    if (owner === lockOwner()) {
+        return false;
+    }
+    if (parts[1] !== os.hostname()) {
+        // can't tell if process on another host is running
+        return true;
+    }
+    try{
+        process.kill(Number(parts[0]), 0);
+        return true;
+    }catch(err){
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Creates lock file beside registry file, so it is not used by two runs at the same time.
+ * Lock file left by a run that is not running anymore is taken over.
+ * 
+ * @return error message if registry file is locked by another run
+ */
+function lock(file){
+    var lockFile = file + '.lock';
+    try{
+        grunt.file.mkdir(path.dirname(file));
+        fs.writeFileSync(lockFile, lockOwner(), {flag: 'wx'});
+    }catch(err){
+        if (err.code !== 'EEXIST') {
+            return 'unable to lock version registry ' + lockFile + ' ' + err;
+        }
+        var owner = fs.readFileSync(lockFile).toString();
+        if (isRunning(owner)) {
+            return 'version registry ' + file + ' is used by another run (' + owner + '). Remove ' + lockFile + ' if it is not running';
+        }
+        fs.writeFileSync(lockFile, lockOwner());
+    }
+    lockFiles.push(lockFile);
+    return null;
+}
 
-function init(){
-    if(grunt.file.exists(FILE_NAME)){
+function unlock(){
+    lockFiles.forEach(function(lockFile){
         try{
-            registry = jf.readFileSync(FILE_NAME);
+            fs.unlinkSync(lockFile);
         }catch(err){
-            console.log(err.stack);
-            throw err;
+            // already gone
         }
-    }else{
-        registry = {};
+    });
+    lockFiles = [];
+}
+
+// file is replaced by renaming, so it is never left half written
+function writeFile(file){
+    var tempFile = file + '.tmp';
+    try{
+        grunt.file.mkdir(path.dirname(file));
+        jf.writeFileSync(tempFile, files[file]);
+        fs.renameSync(tempFile, file);
+    }catch(err){
+        console.log(err.stack);
+        throw err;
+    }
+}
+
+function changed(){
+    if (currentFile == null) {
+        return;
+    }
+    changedFiles[currentFile] = true;
+    if (flushTimer == null) {
+        flushTimer = setTimeout(exports.save, FLUSH_DELAY);
+        // pending write doesn't keep grunt running
+        flushTimer.unref();
+    }
+}
+
+/**
+ * Reads registry file, moving entries of registry without repositories (flat file) under the namespace.
+ * Registry that is not there yet starts with entries of the legacy registry in current directory, if it exists.
+ */
+function loadFile(file, namespace, isDefaultFile, dryRun){
+    var content = {};
+    var flatFile;
+    if (grunt.file.exists(file)) {
+        content = readFile(file);
+        flatFile = content[REPOSITORIES] == null ? file : null;
+    } else if (isDefaultFile && grunt.file.exists(LEGACY_FILE_NAME)) {
+        content = readFile(LEGACY_FILE_NAME);
+        flatFile = content[REPOSITORIES] == null ? LEGACY_FILE_NAME : null;
+    }
+
+    if (flatFile) {
+        var entries = content;
+        content = {};
+        content[REPOSITORIES] = {};
+        content[REPOSITORIES][namespace] = entries;
+        if (dryRun) {
+            grunt.log.ok('Would migrate version registry', flatFile, 'to', file);
+        } else {
+            changedFiles[file] = true;
+            grunt.log.ok('Migrated version registry', flatFile, 'to', file);
+        }
+    }
+    content[REPOSITORIES] = content[REPOSITORIES] || {};
+    return content;
+}
+
+
+/**
+ * @argument options - options object provided in task config
+ * @return {String} path of the registry file
+ */
+exports.getFile = function(options){
+    return options.registryFile || removeTrailingSlash(options.localRoot || '.') + '/' + FILE_NAME;
+};
+
+function loadEntries(options, repositoryId, readOnly, callback){
+    var file = exports.getFile(options);
+    var namespace = removeTrailingSlash(options.url) + '#' + repositoryId;
+    if (!readOnly && lockFiles.indexOf(file + '.lock') === -1) {
+        var err = lock(file);
+        if (err) {
+            callback(err);
+            return;
+        }
+    }
+    if (files[file] == null) {
+        files[file] = loadFile(file, namespace, options.registryFile == null, readOnly);
+    }
+    // changes of registry that is only read are not written
+    currentFile = readOnly ? null : file;
+    var repositories = files[file][REPOSITORIES];
+    registry = repositories[namespace] = createEntries(repositories[namespace] || {});
+    callback();
+}
+
+/**
+ * Loads registry file (unless it is loaded already) and makes entries of the repository current.
+ * Entries are kept by repository, so one registry file can be shared by tasks working with different repositories.
+ * Registry file is locked until the process exits. In dry run (options.dryRun) it is only read.
+ *
+ * @argument options - options object provided in task config
+ * @argument {String} repositoryId
+ * @argument {Function} callback - called with error if registry file is locked by another run
+ */
+exports.load = function(options, repositoryId, callback){
+    loadEntries(options, repositoryId, options.dryRun === true, callback);
+};
+
+/**
+ * Loads registry file like load(), for actions that don't change it: it is not locked, migrated or written,
+ * and its folder is not created.
+ *
+ * @argument options - options object provided in task config
+ * @argument {String} repositoryId
+ * @argument {Function} callback
+ */
+exports.read = function(options, repositoryId, callback){
+    loadEntries(options, repositoryId, true, callback);
+};
+
+
+function contentHash(content){
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function statFile(localFile){
+    try{
+        return fs.statSync(localFile);
+    }catch(err){
+        return null;
     }
 }
+
+/**
+ * @argument {String} documentId
+ * @argument {String} version
+ * @argument {String} localFile - optional, local path of the document
+ * @argument {Buffer} content - optional, content of the document in this version
+ * @argument {CmisFileProperties} cmisFileProperties - optional, properties of the document in this version,
+ *      to tell if the document and the local file (in its current state) are changed without getting content
+ */
+exports.setVersion = function(documentId, version, localFile, content, cmisFileProperties){
+    registry[documentId] = version;
+    if (localFile) {
+        registry[PATHS][localFile] = documentId;
+    }
+    if (content) {
+        registry[CONTENT_HASHES][documentId] = contentHash(content);
+    } else {
+        delete registry[CONTENT_HASHES][documentId];
+    }
+
+    var stats = localFile && content && cmisFileProperties ? statFile(localFile) : null;
+    if (stats) {
+        registry[SYNC_STATS][documentId] = {
+            contentStreamLength: cmisFileProperties.getContentStreamLength(),
+            lastModificationDate: cmisFileProperties.getLastModificationDate(),
+            changeToken: cmisFileProperties.getChangeToken(),
+            mtime: stats.mtime.getTime(),
+            size: stats.size
+        };
+    } else {
+        delete registry[SYNC_STATS][documentId];
+    }
+    changed();
+};
+
+exports.hasVersion = function(documentId, version){
+    return registry[documentId] === version;
+};
+
+/**
+ * @return true if any version of the document was downloaded or uploaded before
+ */
+exports.isTracked = function(documentId){
+    return registry[documentId] != null;
+};
+
+/**
+ * @return true if content is different from the content of tracked version,
+ *      or if content of tracked version is not known
+ */
+exports.isContentChanged = function(documentId, content){
+    var hash = registry[CONTENT_HASHES][documentId];
+    return hash == null || hash !== contentHash(content);
+};
+
+/**
+ * @return true if the document is in tracked version, and its content length, modification date and change token
+ *      are the same as at last sync. False if that is not known
+ */
+exports.isRemoteUnchanged = function(cmisFileProperties){
+    var documentId = cmisFileProperties.getNodeId();
+    var stats = registry[SYNC_STATS][documentId];
+    if (stats == null || !exports.hasVersion(documentId, cmisFileProperties.getVersion())) {
+        return false;
+    }
+    // repository has to tell when the document was modified
+    if (stats.lastModificationDate == null && stats.changeToken == null) {
+        return false;
+    }
+    return stats.contentStreamLength === cmisFileProperties.getContentStreamLength() &&
+        stats.lastModificationDate === cmisFileProperties.getLastModificationDate() &&
+        stats.changeToken === cmisFileProperties.getChangeToken();
+};
+
+/**
+ * @return true if modification time and size of the local file are the same as at last sync. False if that is not known
+ */
+exports.isLocalUnchanged = function(documentId, localFile){
+    var stats = registry[SYNC_STATS][documentId];
+    var localStats = stats ? statFile(localFile) : null;
+    return localStats != null && localStats.mtime.getTime() === stats.mtime && localStats.size === stats.size;
+};
+
+/**
+ * @return true if neither the document nor the local file changed since last sync, so there is nothing to transfer
+ */
+exports.isUnchanged = function(cmisFileProperties, localFile){
+    return exports.isRemoteUnchanged(cmisFileProperties) && exports.isLocalUnchanged(cmisFileProperties.getNodeId(), localFile);
+};
+
+/**
+ * Stops tracking the document (when it was deleted)
+ */
+exports.removeVersion = function(documentId){
+    delete registry[documentId];
+    delete registry[CONTENT_HASHES][documentId];
+    delete registry[SYNC_STATS][documentId];
+    delete registry[PROPERTIES][documentId];
+    Object.keys(registry[PATHS]).forEach(function(localFile){
+        if (registry[PATHS][localFile] === documentId) {
+            delete registry[PATHS][localFile];
+        }
+    });
+    changed();
+};
+
+/**
+ * @argument {String} documentId
+ * @argument {Object} properties - values of synced properties, as written to properties sidecar file, by property id
+ */
+exports.setProperties = function(documentId, properties){
+    registry[PROPERTIES][documentId] = properties;
+    changed();
+};
+
+/**
+ * @return values of synced properties as of last download, by property id, or undefined if they are not known
+ */
+exports.getProperties = function(documentId){
+    return registry[PROPERTIES][documentId];
+};
+
+/**
+ * @return id of the document tracked for the local file, or undefined if file is not tracked
+ */
+exports.getDocumentId = function(localFile){
+    return registry[PATHS][localFile];
+};
+
+/**
+ * @return local path of the tracked document, or undefined if document is not tracked
+ */
+exports.getLocalFile = function(documentId){
+    return Object.keys(registry[PATHS]).filter(function(localFile){
+        return registry[PATHS][localFile] === documentId;
+    })[0];
+};
+
+/**
+ * @argument {String} cmisPath - folder that was downloaded
+ * @return change log token at the time of last download of the folder, or undefined
+ */
+exports.getChangeLogToken = function(cmisPath){
+    return registry[CHANGE_LOG_TOKENS][cmisPath];
+};
+
+exports.setChangeLogToken = function(cmisPath, changeLogToken){
+    registry[CHANGE_LOG_TOKENS][cmisPath] = changeLogToken;
+    changed();
+};
+
+exports.setWorkingCopy = function(documentId, workingCopyId){
+    registry[WORKING_COPIES][documentId] = workingCopyId;
+    changed();
+};
+
+exports.getWorkingCopy = function(documentId){
+    return registry[WORKING_COPIES][documentId];
+};
+
+exports.removeWorkingCopy = function(documentId){
+    delete registry[WORKING_COPIES][documentId];
+    changed();
+};
+
+/**
+ * Writes registry files that have changes not written yet. Changes are also written shortly after they are made.
+ */
+exports.save = function() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    Object.keys(changedFiles).forEach(writeFile);
+    changedFiles = {};
+};
@@ -0,0 +1,198 @@
+/*
+ * grunt-cmiscopy
+ * https://github.com/marushkevych/grunt-cmiscopy
+ *
+ * Copyright (c) 2014 Andrey Marushkevych
+ * Licensed under the MIT license.
+ */
+var fs = require('fs');
+var async = require('async');
+var grunt = require('grunt');
+var actions = require('./Actions');
+var createFileProcessor = require('./FilePorcessor');
+var createLegacyFileProcessor = require('./FilePorcessorLegacyApi');
+var VersionRegistry = require('./VersionRegistry');
+var ContentCreator = require('./ContentCreator');
+var LocalFiles = require('./LocalFiles');
+var PathFilter = require('./PathFilter');
+var CmisError = require('./CmisError');
+
+// default delay (in milliseconds) between the last change of the file and its upload
+var DEBOUNCE = 300;
+
+/**
+ * Factory method creates Watcher object.
+ *
+ * Watcher uploads local files as they are saved, using already open cmisSession.
+ * Changes are processed one at a time, same way as upload action does.
+ * If options.poll is set, remote folder is synced every options.poll seconds.
+ *
+ * @param cmisSession - session with repositories already loaded
+ * @param options - options object provided in task config
+ * @param cmisPath - path of watched folder or file in CMS
+ * @param localPath - path of watched local folder or file
+ * @returns {
+ *      start: function(),
+ *      stop: function()
+ * }
+ */
+exports.create = function(cmisSession, options, cmisPath, localPath) {
+    var debounce = options.debounce != null ? options.debounce : DEBOUNCE;
+    var watchSingleFile = grunt.file.isFile(localPath);
+    var localDir = watchSingleFile ? localPath.slice(0, localPath.lastIndexOf('/')) : localPath;
+    var cmisDir = watchSingleFile ? cmisPath.slice(0, cmisPath.lastIndexOf('/')) : cmisPath;
+
+    var pathFilter = PathFilter.create(options);
+
+    var watchers = {};
+    var timers = {};
+    var pollTimer;
+    // callback of the task being processed
+    var currentTask;
+
+    // uploads and polls are processed one at a time
+    var queue = async.queue(function(task, done) {
+        var finished = false;
+        currentTask = function(err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            currentTask = null;
+            if (err) {
+                grunt.log.error(err);
+            }
+            VersionRegistry.save();
+            done();
+        };
+        task(currentTask);
+    }, 1);
+
+    // failed requests without own handlers fail the current task, instead of the grunt task
+    function failCurrentTask(message) {
+        if (currentTask) {
+            currentTask(message);
+        } else {
+            grunt.log.error(message);
+        }
+    }
+
+    function processPath(action, cmisObjectPath, localObjectPath, callback) {
+        cmisSession.getObjectByPath(cmisObjectPath).ok(function(object) {
+            var fileProcessor;
+            if (object.succinctProperties) {
+                fileProcessor = createFileProcessor(cmisSession, options, cmisObjectPath, localObjectPath, action);
+            } else {
+                fileProcessor = createLegacyFileProcessor(cmisSession, options, cmisObjectPath, localObjectPath, action);
+            }
+            fileProcessor.process(object, callback);
+        }).notOk(function(response) {
+            if (response.statusCode === 404 && action === actions.upload) {
+                uploadNewFile(cmisObjectPath, localObjectPath, callback);
+                return;
+            }
+            callback(CmisError.fromResponse(response, cmisObjectPath, 'request failed'));
+        });
+    }
+
+    function uploadNewFile(cmisFilePath, localFilePath, callback) {
+        if (options.create !== true) {
+            grunt.log.error("Can't upload", localFilePath, "- not found in CMS. Set create option to create new documents.");
+            callback();
+            return;
+        }
+        ContentCreator.create(cmisSession, options).createMissing(cmisFilePath, localFilePath, [], callback);
+    }
+
+    function upload(file) {
+        queue.push(function(done) {
+            // file could be deleted while waiting
+            if (!grunt.file.isFile(localDir + '/' + file)) {
+                done();
+                return;
+            }
+            processPath(actions.upload, cmisDir + '/' + file, localDir + '/' + file, done);
+        });
+    }
+
+    function poll() {
+        queue.push(function(done) {
+            processPath(actions.sync, cmisPath, localPath, done);
+        });
+    }
+
+    function onChange(file) {
+        if (watchSingleFile && localDir + '/' + file !== localPath) {
+            return;
+        }
+        if (!watchSingleFile && !pathFilter.acceptsLocalPath(localDir + '/' + file, false)) {
+            return;
+        }
+        clearTimeout(timers[file]);
+        timers[file] = setTimeout(function() {
+            delete timers[file];
+            upload(file);
+        }, debounce);
+    }
+
+    // folder is relative to localDir, '' for localDir itself
+    function watchFolder(folder) {
+        if (watchers[folder]) {
+            return;
+        }
+        var folderPath = folder ? localDir + '/' + folder : localDir;
+
+        watchers[folder] = fs.watch(folderPath, function(event, fileName) {
+            if (!fileName) {
+                return;
+            }
+            var file = folder ? folder + '/' + fileName : fileName;
+            var filePath = localDir + '/' + file;
+
+            if (grunt.file.isDir(filePath)) {
+                // new folder - watch it and upload what was already copied into it
+                if (!watchSingleFile) {
+                    watchFolder(file);
+                    LocalFiles.listFiles(filePath).forEach(function(child) {
+                        onChange(file + '/' + child);
+                    });
+                }
+            } else if (grunt.file.isFile(filePath)) {
+                onChange(file);
+            }
+        });
+    }
+
+    return {
+        start: function() {
+            cmisSession.setGlobalHandlers(function(response) {
+                failCurrentTask(CmisError.fromResponse(response, null, 'request failed'));
+            }, function(err) {
+                failCurrentTask(CmisError.fromNetworkError(err, null, 'request failed'));
+            });
+
+            watchFolder('');
+            if (!watchSingleFile) {
+                LocalFiles.listFolders(localDir).forEach(watchFolder);
+            }
+            grunt.log.ok('Watching', localPath, 'for changes...');
+
+            if (options.poll > 0) {
+                pollTimer = setInterval(poll, options.poll * 1000);
+                grunt.log.ok('Syncing with', cmisPath, 'every', options.poll, 'seconds');
+            }
+        },
+
+        stop: function() {
+            Object.keys(watchers).forEach(function(folder) {
+                watchers[folder].close();
+            });
+            Object.keys(timers).forEach(function(file) {
+                clearTimeout(timers[file]);
+            });
+            clearInterval(pollTimer);
+            watchers = {};
+            timers = {};
+        }
+    };
+};
@@ -0,0 +1,206 @@
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var stream = require('stream');
+var EventEmitter = require('events').EventEmitter;
+var Transport = require('../js/Transport');
+
+var cmisModule = require.cache[require.resolve('cmis')];
+var superagent = cmisModule.require('superagent');
+
+// fake http module, answering login requests with the given response
+var httpFake = {
+    request: function(options, callback) {
+        var request = new EventEmitter();
+        httpFake.requests.push({options: options, request: request});
+        request.end = function(body) {
+            request.body = body;
+            process.nextTick(function() {
+                var response = new stream.PassThrough();
+                response.statusCode = httpFake.statusCode;
+                callback(response);
+                response.end(httpFake.body);
+            });
+        };
+        return request;
+    },
+    respond: function(statusCode, body) {
+        httpFake.requests = [];
+        httpFake.statusCode = statusCode;
+        httpFake.body = body;
+    }
+};
+
+var Auth = proxyquire('../js/Auth', {
+    'http': httpFake
+});
+
+// builds the request superagent would send for cmis session, without sending it
+function buildCmisRequest(url) {
+    var request = superagent.get(url);
+    request.on('error', function() {});
+    var req = request.request();
+    request.abort();
+    return {request: request, req: req};
+}
+
+describe("Auth", function() {
+    var options;
+    var cmisSession;
+
+    beforeEach(function() {
+        options = {
+            url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+            netrc: 'tmp/auth/netrc'
+        };
+        cmisSession = {
+            setCredentials: jasmine.createSpy('setCredentials')
+        };
+        grunt.file.delete('tmp/auth');
+        delete process.env.CMIS_USERNAME;
+        delete process.env.CMIS_PASSWORD;
+        delete process.env.CMIS_TOKEN;
+    });
+
+    afterEach(function() {
+        Transport.setRequestDecorator(null);
+    });
+
+    it("should fail on unknown auth type", function() {
+        options.auth = 'kerberos';
+        expect(function() {
+            Auth.create(options);
+        }).toThrow(new Error("Invalid auth: kerberos"));
+    });
+
+    describe("basic", function() {
+
+        it("should use username and password from options", function() {
+            options.username = 'admin';
+            options.password = 'secret';
+            var auth = Auth.create(options);
+            var requestOptions = {};
+
+            auth.authorizeSession(cmisSession);
+            auth.authorizeRequest(requestOptions);
+
+            expect(cmisSession.setCredentials).toHaveBeenCalledWith('admin', 'secret');
+            expect(requestOptions.auth).toBe('admin:secret');
+        });
+
+        it("should use credentials from environment variables", function() {
+            process.env.CMIS_USERNAME = 'envuser';
+            process.env.CMIS_PASSWORD = 'envpassword';
+            var requestOptions = {};
+
+            Auth.create(options).authorizeRequest(requestOptions);
+
+            expect(requestOptions.auth).toBe('envuser:envpassword');
+        });
+
+        it("should use credentials for CMS host from netrc file", function() {
+            grunt.file.write('tmp/auth/netrc',
+                'machine example.com login other password otherpassword\n' +
+                'machine alfresco-mycompany.com\n  login netrcuser\n  password netrcpassword\n' +
+                'default login anonymous password guest\n');
+            var auth = Auth.create(options);
+            var requestOptions = {};
+
+            auth.authorizeSession(cmisSession);
+            auth.authorizeRequest(requestOptions);
+
+            expect(cmisSession.setCredentials).toHaveBeenCalledWith('netrcuser', 'netrcpassword');
+            expect(requestOptions.auth).toBe('netrcuser:netrcpassword');
+        });
+
+        it("should not authorize requests if there are no credentials", function() {
+            var requestOptions = {};
+            Auth.create(options).authorizeRequest(requestOptions);
+            expect(requestOptions.auth).toBeUndefined();
+        });
+    });
+
+    describe("token", function() {
+
+        it("should send bearer token with session and content stream requests", function(done) {
+            options.auth = 'token';
+            options.token = 'abc123';
+            var auth = Auth.create(options);
+            var requestOptions = {};
+
+            auth.login(function(err) {
+                expect(err).toBeFalsy();
+                auth.authorizeSession(cmisSession);
+                auth.authorizeRequest(requestOptions);
+
+                expect(requestOptions.headers.Authorization).toBe('Bearer abc123');
+                expect(buildCmisRequest(options.url).req.getHeader('Authorization')).toBe('Bearer abc123');
+                expect(cmisSession.setCredentials).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it("should fail to login if there is no token", function(done) {
+            options.auth = 'token';
+            Auth.create(options).login(function(err) {
+                expect(err).toBe('no token found: set token option or CMIS_TOKEN environment variable');
+                done();
+            });
+        });
+    });
+
+    describe("ticket", function() {
+
+        beforeEach(function() {
+            options.auth = 'ticket';
+            options.username = 'admin';
+            options.password = 'secret';
+        });
+
+        it("should obtain ticket once and send it as alf_ticket parameter", function(done) {
+            httpFake.respond(200, JSON.stringify({data: {ticket: 'TICKET_1'}}));
+            options.loginUrl = 'http://alfresco-mycompany.com/alfresco/service/api/login?once';
+            var auth = Auth.create(options);
+
+            auth.login(function(err) {
+                expect(err).toBeFalsy();
+
+                // second provider for the same login reuses the ticket
+                Auth.create(options).login(function() {
+                    expect(httpFake.requests.length).toEqual(1);
+                    expect(httpFake.requests[0].options.method).toBe('POST');
+                    expect(JSON.parse(httpFake.requests[0].request.body)).toEqual({username: 'admin', password: 'secret'});
+
+                    var requestOptions = {path: '/alfresco/cmisbrowser/root?cmisselector=content'};
+                    auth.authorizeRequest(requestOptions);
+                    expect(requestOptions.path).toBe('/alfresco/cmisbrowser/root?cmisselector=content&alf_ticket=TICKET_1');
+
+                    auth.authorizeSession(cmisSession);
+                    expect(buildCmisRequest(options.url).request.qs.alf_ticket).toBe('TICKET_1');
+                    done();
+                });
+            });
+        });
+
+        it("should post to Alfresco login web script next to CMIS endpoint by default", function(done) {
+            httpFake.respond(200, JSON.stringify({data: {ticket: 'TICKET_2'}}));
+            options.username = 'defaultlogin';
+
+            Auth.create(options).login(function() {
+                expect(httpFake.requests[0].options.href).toBe('http://alfresco-mycompany.com/alfresco/service/api/login');
+                done();
+            });
+        });
+
+        it("should fail to login if CMS rejects credentials", function(done) {
+            httpFake.respond(403, '');
+            options.username = 'rejected';
+
+            Auth.create(options).login(function(err) {
+                expect(err.type).toBe('permissionDenied');
+                expect(String(err)).toBe('login failed http://alfresco-mycompany.com/alfresco/service/api/login: permission denied - check that the user has access (403)');
+                done();
+            });
+        });
+    });
+
+});
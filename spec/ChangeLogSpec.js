@@ -0,0 +1,158 @@
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var versionRegistry = require('../js/VersionRegistry');
+
+var fileIOMock = {};
+var ChangeLog = proxyquire('../js/ChangeLog', {
+    './DocumentFetcher': proxyquire('../js/DocumentFetcher', {
+        './FileIO': {
+            create: function() {
+                return fileIOMock;
+            }
+        }
+    })
+});
+
+function change(objectId, changeType) {
+    return {
+        succinctProperties: {'cmis:objectId': objectId},
+        changeEventInfo: {changeType: changeType}
+    };
+}
+
+function document(objectId, name) {
+    return {
+        succinctProperties: {
+            'cmis:objectId': objectId + ';1.1',
+            'cmis:name': name,
+            'cmis:baseTypeId': 'cmis:document',
+            'alfcmis:nodeRef': objectId
+        }
+    };
+}
+
+function parent(path) {
+    return {object: {succinctProperties: {'cmis:path': path}}};
+}
+
+describe("ChangeLog", function() {
+    var options;
+    var cmisSession;
+    var changeLog;
+    var documents;
+
+    beforeEach(function() {
+        options = {cmisRoot: '/cmis/root', localRoot: 'tmp/changes'};
+        documents = {
+            'workspace://SpacesStore/faq': {object: document('workspace://SpacesStore/faq', 'faq.html'), parents: [parent('/cmis/root/pages')]},
+            'workspace://SpacesStore/other': {object: document('workspace://SpacesStore/other', 'other.html'), parents: [parent('/other/site')]}
+        };
+
+        cmisSession = {
+            getContentChanges: jasmine.createSpy('getContentChanges').andCallFake(function() {
+                return new CmisRequestMock().resolve({
+                    objects: [
+                        change('workspace://SpacesStore/faq;1.0', 'created'),
+                        change('workspace://SpacesStore/other;1.0', 'updated'),
+                        change('workspace://SpacesStore/faq;1.1', 'updated')
+                    ],
+                    hasMoreItems: false
+                });
+            }),
+            getObject: jasmine.createSpy('getObject').andCallFake(function(objectId) {
+                return new CmisRequestMock().resolve(documents[objectId].object);
+            }),
+            getParents: jasmine.createSpy('getParents').andCallFake(function(objectId) {
+                return new CmisRequestMock().resolve(documents[objectId.split(';')[0]].parents);
+            })
+        };
+        fileIOMock.downloadFile = jasmine.createSpy('downloadFile').andCallFake(function(localDir, cmisFileProperties, callback) {
+            callback();
+        });
+        spyOn(grunt.log, 'ok');
+        spyOn(grunt.log, 'error');
+
+        changeLog = ChangeLog.create(cmisSession, options);
+    });
+
+    it("should tell if repository keeps change log", function() {
+        expect(ChangeLog.isSupported({capabilities: {capabilityChanges: 'all'}})).toBeTruthy();
+        expect(ChangeLog.isSupported({capabilities: {capabilityChanges: 'none'}})).toBeFalsy();
+        expect(ChangeLog.isSupported({})).toBeFalsy();
+    });
+
+    it("should download documents in the folder changed since the token, once", function(done) {
+        changeLog.downloadChanges('/cmis/root', 'tmp/changes', 'token1', function(err, applied) {
+            expect(err).toBeFalsy();
+            expect(applied).toBe(true);
+            expect(cmisSession.getContentChanges).toHaveBeenCalledWith('token1', true);
+            expect(cmisSession.getObject).toHaveBeenCalledWith('workspace://SpacesStore/faq', 'latest');
+            expect(fileIOMock.downloadFile.calls.length).toEqual(1);
+            expect(fileIOMock.downloadFile.mostRecentCall.args[0]).toBe('tmp/changes/pages');
+            expect(fileIOMock.downloadFile.mostRecentCall.args[1].getName()).toBe('faq.html');
+            done();
+        });
+    });
+
+    it("should get all pages of changes", function(done) {
+        cmisSession.getContentChanges.andCallFake(function(token) {
+            if (token === 'token1') {
+                return new CmisRequestMock().resolve({objects: [change('workspace://SpacesStore/other', 'updated')], hasMoreItems: true, changeLogToken: 'token2'});
+            }
+            return new CmisRequestMock().resolve({objects: [change('workspace://SpacesStore/faq', 'updated')], hasMoreItems: false});
+        });
+
+        changeLog.downloadChanges('/cmis/root', 'tmp/changes', 'token1', function(err, applied) {
+            expect(applied).toBe(true);
+            expect(cmisSession.getContentChanges).toHaveBeenCalledWith('token2', true);
+            expect(fileIOMock.downloadFile.calls.length).toEqual(1);
+            done();
+        });
+    });
+
+    it("should not be applied if change log can't be used", function(done) {
+        cmisSession.getContentChanges.andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 400, body: {exception: 'invalidArgument', message: 'Invalid change log token'}});
+        });
+
+        changeLog.downloadChanges('/cmis/root', 'tmp/changes', 'tooOld', function(err, applied) {
+            expect(err).toBeFalsy();
+            expect(applied).toBe(false);
+            expect(fileIOMock.downloadFile).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should delete local file of deleted document, if prune option is set", function(done) {
+        options.prune = true;
+        grunt.file.write('tmp/changes/pages/old.html', 'old content');
+        versionRegistry.setVersion('workspace://SpacesStore/old', '1.0', 'tmp/changes/pages/old.html', new Buffer('old content'));
+        cmisSession.getContentChanges.andCallFake(function() {
+            return new CmisRequestMock().resolve({objects: [change('workspace://SpacesStore/old;1.0', 'deleted')], hasMoreItems: false});
+        });
+
+        changeLog.downloadChanges('/cmis/root', 'tmp/changes', 'token1', function(err, applied) {
+            expect(applied).toBe(true);
+            expect(grunt.file.exists('tmp/changes/pages/old.html')).toBeFalsy();
+            expect(versionRegistry.isTracked('workspace://SpacesStore/old')).toBeFalsy();
+            done();
+        });
+    });
+
+    it("should not delete local file of deleted document, if it was modified locally", function(done) {
+        options.prune = true;
+        grunt.file.write('tmp/changes/pages/old.html', 'local change');
+        versionRegistry.setVersion('workspace://SpacesStore/old', '1.0', 'tmp/changes/pages/old.html', new Buffer('old content'));
+        cmisSession.getContentChanges.andCallFake(function() {
+            return new CmisRequestMock().resolve({objects: [change('workspace://SpacesStore/old;1.0', 'deleted')], hasMoreItems: false});
+        });
+
+        changeLog.downloadChanges('/cmis/root', 'tmp/changes', 'token1', function(err, applied) {
+            expect(applied).toBe(true);
+            expect(grunt.file.read('tmp/changes/pages/old.html')).toBe('local change');
+            expect(versionRegistry.isTracked('workspace://SpacesStore/old')).toBeTruthy();
+            done();
+        });
+    });
+});
@@ -0,0 +1,153 @@
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var fsStub = require('./stubs').fsStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var versionRegistry = require('../js/VersionRegistry');
+
+var Checkout = proxyquire('../js/Checkout', {
+    'fs': fsStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword',
+    comment: 'fixed typo',
+    major: true
+};
+
+var cmisFileProperties = CmisFileProperties({
+    succinctProperties: {
+        "cmis:name": "test.txt",
+        "cmis:objectId": 'testId',
+        "cmis:contentStreamMimeType": 'text/plain',
+        "cmis:versionLabel": "1.3",
+        "alfcmis:nodeRef": 'nodeId'
+    }
+});
+
+
+describe("Checkout", function() {
+    var cmisSession;
+    var checkout;
+    var cmisRequest;
+    var refreshVersionCmisRequest;
+
+    beforeEach(function() {
+        cmisRequest = new CmisRequestMock();
+        refreshVersionCmisRequest = new CmisRequestMock();
+        cmisSession = {
+            checkOut: jasmine.createSpy('checkOut').andReturn(cmisRequest),
+            checkIn: jasmine.createSpy('checkIn').andReturn(cmisRequest),
+            cancelCheckOut: jasmine.createSpy('cancelCheckOut').andReturn(cmisRequest),
+            getObject: jasmine.createSpy('getObject').andReturn(refreshVersionCmisRequest)
+        };
+
+        checkout = Checkout.create(cmisSession, options);
+
+        spyOn(fsStub, 'readFile').andCallThrough();
+        fsStub.reset();
+
+        versionRegistry.setVersion("nodeId", "1.3");
+        versionRegistry.removeWorkingCopy("nodeId");
+    });
+
+    describe("checkoutFile()", function() {
+
+        it("should check out document and track working copy id", function(done) {
+            checkout.checkoutFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.checkOut).toHaveBeenCalledWith('testId');
+                expect(versionRegistry.getWorkingCopy("nodeId")).toBe('testId;pwc');
+                done();
+            });
+
+            cmisRequest.resolve({succinctProperties: {"cmis:objectId": "testId;pwc"}});
+        });
+
+        it("should not check out document that is already checked out", function(done) {
+            versionRegistry.setWorkingCopy("nodeId", 'testId;pwc');
+            checkout.checkoutFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.checkOut).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it("should fail if checkout request fails", function(done) {
+            checkout.checkoutFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeTruthy();
+                expect(versionRegistry.getWorkingCopy("nodeId")).toBeFalsy();
+                done();
+            });
+
+            cmisRequest.reject({statusCode: 409});
+        });
+    });
+
+    describe("checkinFile()", function() {
+
+        it("should not check in if document is not checked out", function(done) {
+            checkout.checkinFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(fsStub.readFile).not.toHaveBeenCalled();
+                expect(cmisSession.checkIn).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it("should not check in if versions dont match", function(done) {
+            versionRegistry.setWorkingCopy("nodeId", 'testId;pwc');
+            versionRegistry.setVersion("nodeId", "1.2");
+            checkout.checkinFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(fsStub.readFile).not.toHaveBeenCalled();
+                expect(cmisSession.checkIn).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it("should check in local content with comment and track new version", function(done) {
+            versionRegistry.setWorkingCopy("nodeId", 'testId;pwc');
+            checkout.checkinFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(fsStub.readFile).toHaveBeenCalledWith('tmp/test.txt', jasmine.any(Function));
+                expect(cmisSession.checkIn).toHaveBeenCalledWith('testId;pwc', true, null, 'new content', 'fixed typo', null, null, null, {mimeType: 'text/plain'});
+                expect(versionRegistry.hasVersion("nodeId", "2.0")).toBeTruthy();
+                expect(versionRegistry.getWorkingCopy("nodeId")).toBeFalsy();
+                done();
+            });
+
+            fsStub.resolve('new content');
+            cmisRequest.resolve();
+            refreshVersionCmisRequest.resolve({succinctProperties: {"cmis:versionLabel": "2.0" }});
+        });
+    });
+
+    describe("cancelCheckoutFile()", function() {
+
+        it("should cancel checkout and forget working copy id", function(done) {
+            versionRegistry.setWorkingCopy("nodeId", 'testId;pwc');
+            checkout.cancelCheckoutFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.cancelCheckOut).toHaveBeenCalledWith('testId;pwc');
+                expect(versionRegistry.getWorkingCopy("nodeId")).toBeFalsy();
+                expect(versionRegistry.hasVersion("nodeId", "1.3")).toBeTruthy();
+                done();
+            });
+
+            cmisRequest.resolve();
+        });
+
+        it("should not cancel checkout if document is not checked out", function(done) {
+            checkout.cancelCheckoutFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.cancelCheckOut).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+});
@@ -79,12 +79,60 @@ describe("CmisCopy.create()", function() {
         expect(cmisCopyTask.action).toBe('download');
     });
 
+    it("with 'co' action should use 'checkout'", function() {
+        var cmisCopyTask = CmisCopy.create(options, null, 'co');
+        expect(cmisCopyTask.action).toBe('checkout');
+    });
+
+    it("with 'ci' action should use 'checkin'", function() {
+        var cmisCopyTask = CmisCopy.create(options, null, 'ci');
+        expect(cmisCopyTask.action).toBe('checkin');
+    });
+
     it("with invalid action should result in error", function() {
         expect(function() {
             CmisCopy.create(options, null, 'foo');
         }).toThrow(new Error("Invalid action: foo"));
     });
 
+    it("with dry run should only accept upload and download actions", function() {
+        var dryRunOptions = Object.create(options);
+        dryRunOptions.dryRun = true;
+
+        expect(CmisCopy.create(dryRunOptions, null, 'u').action).toBe('upload');
+        expect(CmisCopy.create(dryRunOptions, null, null).action).toBe('download');
+        expect(function() {
+            CmisCopy.create(dryRunOptions, null, 'ci');
+        }).toThrow(new Error("Dry run is not supported for action: checkin"));
+    });
+
+    it("with version should only accept download and revert actions", function() {
+        var versionOptions = Object.create(options);
+        versionOptions.version = '1.4';
+
+        expect(CmisCopy.create(versionOptions, null, null).action).toBe('download');
+        expect(CmisCopy.create(versionOptions, null, 'revert').action).toBe('revert');
+        expect(function() {
+            CmisCopy.create(versionOptions, null, 'u');
+        }).toThrow(new Error("Version is not supported for action: upload"));
+    });
+
+    it("query without statement should result in error", function() {
+        var queryOptions = Object.create(options);
+        queryOptions.query = 'SELECT * FROM cmis:document';
+
+        expect(CmisCopy.create(queryOptions, null, 'query').action).toBe('query');
+        expect(function() {
+            CmisCopy.create(options, null, 'query');
+        }).toThrow(new Error("Query is required for action: query"));
+    });
+
+    it("revert without version should result in error", function() {
+        expect(function() {
+            CmisCopy.create(options, null, 'revert');
+        }).toThrow(new Error("Version is required for action: revert"));
+    });
+
 
 });
 
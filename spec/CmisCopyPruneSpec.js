@@ -0,0 +1,89 @@
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var VersionRegistry = require('../js/VersionRegistry');
+
+var cmisSession = {};
+var CmisCopy = proxyquire('../js/CmisCopy', {
+    'cmis': {
+        createSession: function() {
+            return cmisSession;
+        }
+    }
+});
+
+function document(name) {
+    return {
+        succinctProperties: {
+            'cmis:name': name,
+            'cmis:objectId': name + ';1.0',
+            'cmis:baseTypeId': 'cmis:document',
+            'cmis:contentStreamMimeType': 'text/html',
+            'cmis:versionLabel': '1.0',
+            'alfcmis:nodeRef': name
+        }
+    };
+}
+
+describe("CmisCopy upload with prune option", function() {
+    var options = {
+        url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+        cmisRoot: '/cmis/root/',
+        localRoot: 'tmp/prune',
+        registryFile: 'tmp/registry/prune.json',
+        username: 'adminusername',
+        password: 'adminpassword',
+        prune: true
+    };
+
+    beforeEach(function() {
+        cmisSession.setGlobalHandlers = jasmine.createSpy('setGlobalHandlers');
+        cmisSession.setCredentials = jasmine.createSpy('setCredentials');
+        cmisSession.defaultRepository = {repositoryId: '-default-'};
+        cmisSession.loadRepositories = jasmine.createSpy('loadRepositories').andCallFake(function() {
+            return new CmisRequestMock().resolve();
+        });
+        cmisSession.getObjectByPath = jasmine.createSpy('getObjectByPath').andCallFake(function() {
+            return new CmisRequestMock().resolve({
+                succinctProperties: {'cmis:name': 'root', 'cmis:objectId': 'rootId', 'cmis:baseTypeId': 'cmis:folder', 'cmis:path': '/cmis/root'}
+            });
+        });
+        cmisSession.getChildren = jasmine.createSpy('getChildren').andCallFake(function() {
+            return new CmisRequestMock().resolve({objects: [{object: document('gone.html')}]});
+        });
+        cmisSession.deleteObject = jasmine.createSpy('deleteObject').andCallFake(function() {
+            return new CmisRequestMock().resolve();
+        });
+        spyOn(console, 'log');
+
+        // document was downloaded, then deleted locally
+        VersionRegistry.load(options, '-default-', function() {});
+        grunt.file.mkdir('tmp/prune');
+        VersionRegistry.setVersion('gone.html', '1.0', 'tmp/prune/gone.html', new Buffer('gone'));
+    });
+
+    afterEach(function() {
+        grunt.file.delete('tmp/prune');
+    });
+
+    it("should delete document of locally deleted file, reporting it once", function(done) {
+        CmisCopy.create(options, null, 'upload').runTask(function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.deleteObject).toHaveBeenCalledWith('gone.html;1.0', true);
+            expect(console.log).toHaveBeenCalledWith('  succeeded 1, skipped 0, failed 0');
+            done();
+        });
+    });
+
+    it("should skip locally deleted file without prune option", function(done) {
+        var uploadOptions = Object.create(options);
+        uploadOptions.prune = false;
+
+        CmisCopy.create(uploadOptions, null, 'upload').runTask(function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.deleteObject).not.toHaveBeenCalled();
+            expect(console.log).toHaveBeenCalledWith('  skipped tmp/prune/gone.html - missing locally');
+            done();
+        });
+    });
+});
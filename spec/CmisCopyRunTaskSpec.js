@@ -1,14 +1,18 @@
 var CmisRequestMock = require('./stubs').CmisRequestMock;
 var proxyquire = require('proxyquire');
+var RunReport = require('../js/RunReport');
 
 // inject cmisSessionStub
 var cmisSession = {
-    setGlobalHandlers: function(){}
+    setGlobalHandlers: function(){},
+    defaultRepository: {repositoryId: '-default-'}
 };
 
 // VersionRegistry stub
 var versionRegistryStub = {};
 
+var failedFile;
+
 
 var CmisCopy = proxyquire('../js/CmisCopy', {
     'cmis': {
@@ -19,6 +23,10 @@ var CmisCopy = proxyquire('../js/CmisCopy', {
     './FilePorcessor': function(){
         return {
             process: function(objectId, callback){
+                // file that failed without failing the task (options.failFast = false)
+                if (failedFile) {
+                    RunReport.failed(failedFile, 'failed to upload ' + failedFile);
+                }
                 callback();
             },
             documents: []
@@ -59,6 +67,15 @@ describe("CmisCopy.runTask()", function() {
         cmisSession.getObjectByPath = jasmine.createSpy('getObjectByPath').andReturn(getObjectByPathRequest);
         
         versionRegistryStub.save = jasmine.createSpy('save');
+        versionRegistryStub.load = jasmine.createSpy('load').andCallFake(function(options, repositoryId, callback) {
+            callback();
+        });
+        versionRegistryStub.read = jasmine.createSpy('read').andCallFake(function(options, repositoryId, callback) {
+            callback();
+        });
+        versionRegistryStub.getChangeLogToken = jasmine.createSpy('getChangeLogToken');
+        versionRegistryStub.setChangeLogToken = jasmine.createSpy('setChangeLogToken');
+        failedFile = null;
     });
     
     afterEach(function() {
@@ -96,6 +113,9 @@ describe("CmisCopy.runTask()", function() {
         cmisCopyTask.runTask(function(err){
             expect(err).toBeFalsy();
             expect(versionRegistryStub.save).not.toHaveBeenCalled();
+            // registry is not locked, so 'list' can run along with another run
+            expect(versionRegistryStub.load).not.toHaveBeenCalled();
+            expect(versionRegistryStub.read).toHaveBeenCalled();
             done();
         });
         
@@ -103,5 +123,83 @@ describe("CmisCopy.runTask()", function() {
         getObjectByPathRequest.resolve(testFileCmisProps);
     });
 
+    it("should keep change log token of 'download' action, if repository keeps change log", function(done) {
+        cmisSession.defaultRepository = {repositoryId: '-default-', latestChangeLogToken: 'token1', capabilities: {capabilityChanges: 'all'}};
+        var cmisCopyTask = CmisCopy.create(options, null, 'd');
+        cmisCopyTask.runTask(function(err){
+            expect(err).toBeFalsy();
+            expect(versionRegistryStub.setChangeLogToken).toHaveBeenCalledWith('/cmis/root', 'token1');
+            cmisSession.defaultRepository = {repositoryId: '-default-'};
+            done();
+        });
+
+        loadRepositoriesRequest.resolve();
+        getObjectByPathRequest.resolve({succinctProperties: {'cmis:baseTypeId': 'cmis:folder'}});
+    });
+
+    it("should fail with CMIS error, and print summary of failures", function(done) {
+        spyOn(console, 'log');
+        var cmisCopyTask = CmisCopy.create(options, null, 'd');
+        cmisCopyTask.runTask(function(err){
+            expect(err.type).toBe('permissionDenied');
+            expect(err.exitCode).toBe(11);
+            expect(String(err)).toBe('failed to get content /cmis/root: permission denied - check that the user has access (403)');
+            expect(console.log).toHaveBeenCalledWith('  permission denied   1');
+            // versions recorded before the failure are kept
+            expect(versionRegistryStub.save).toHaveBeenCalled();
+            done();
+        });
+
+        loadRepositoriesRequest.resolve();
+        getObjectByPathRequest.reject({statusCode: 403});
+    });
+
+    it("should not save version registry, if dry run fails", function(done) {
+        spyOn(console, 'log');
+        var dryRunOptions = Object.create(options);
+        dryRunOptions.dryRun = true;
+        var cmisCopyTask = CmisCopy.create(dryRunOptions, null, 'd');
+        cmisCopyTask.runTask(function(err){
+            expect(err.type).toBe('permissionDenied');
+            expect(versionRegistryStub.save).not.toHaveBeenCalled();
+            done();
+        });
+
+        loadRepositoriesRequest.resolve();
+        getObjectByPathRequest.reject({statusCode: 403});
+    });
+
+    it("should fail 'query' action with legacy binding, without running the query", function(done) {
+        var queryOptions = Object.create(options);
+        queryOptions.query = 'SELECT * FROM cmis:document';
+        cmisSession.query = jasmine.createSpy('query');
+        var cmisCopyTask = CmisCopy.create(queryOptions, null, 'query');
+        cmisCopyTask.runTask(function(err){
+            expect(err).toMatch(/^query needs CMIS browser binding/);
+            expect(cmisSession.query).not.toHaveBeenCalled();
+            done();
+        });
+
+        loadRepositoriesRequest.resolve();
+        // legacy CMIS folder
+        getObjectByPathRequest.resolve({objects: []});
+    });
+
+    it("should fail after completing the run, if any file failed", function(done) {
+        spyOn(console, 'log');
+        failedFile = 'local/root/faq.html';
+        var cmisCopyTask = CmisCopy.create(options, null, 'u');
+        cmisCopyTask.runTask(function(err){
+            expect(err).toBe('1 file failed');
+            expect(versionRegistryStub.save).toHaveBeenCalled();
+            expect(console.log).toHaveBeenCalledWith('  succeeded 0, skipped 0, failed 1');
+            expect(console.log).toHaveBeenCalledWith('  other               1');
+            done();
+        });
+
+        loadRepositoriesRequest.resolve();
+        getObjectByPathRequest.resolve(testFileCmisProps);
+    });
+
 });
 
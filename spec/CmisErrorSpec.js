@@ -0,0 +1,64 @@
+var grunt = require('grunt');
+var CmisError = require('../js/CmisError');
+
+describe("CmisError", function() {
+
+    it("should translate CMIS exception from browser binding response", function() {
+        var err = CmisError.fromResponse({
+            statusCode: 409,
+            body: {exception: 'updateConflict', message: 'Change token mismatch'}
+        }, '/cmis/root/faq.html', 'failed to upload');
+
+        expect(err instanceof CmisError.CmisError).toBeTruthy();
+        expect(err.type).toBe('updateConflict');
+        expect(err.category).toBe('conflict');
+        expect(err.path).toBe('/cmis/root/faq.html');
+        expect(err.status).toBe(409);
+        expect(err.exitCode).toBe(12);
+        expect(String(err)).toBe('failed to upload /cmis/root/faq.html: document was changed in CMS by someone else - download it and try again (409)\nChange token mismatch');
+    });
+
+    it("should tell exception by status code if response has no CMIS exception", function() {
+        var err = CmisError.fromResponse({statusCode: 404}, '/cmis/root/faq.html', 'failed to get content');
+
+        expect(err.type).toBe('objectNotFound');
+        expect(err.category).toBe('notFound');
+        expect(String(err)).toBe('failed to get content /cmis/root/faq.html: not found in CMS - check the path (404)');
+
+        expect(CmisError.fromResponse({statusCode: 401}, null, 'request failed').category).toBe('permission');
+        expect(CmisError.fromResponse({statusCode: 503}, null, 'request failed').type).toBe('runtime');
+    });
+
+    it("should report unknown failures as other", function() {
+        var err = CmisError.fromResponse({statusCode: 418, error: 'cannot GET /cmis (418)'}, null, 'request failed');
+
+        expect(err.type).toBe('unknown');
+        expect(err.exitCode).toBe(16);
+        expect(String(err)).toBe('request failed: request failed (418)\ncannot GET /cmis (418)');
+    });
+
+    it("should translate network errors", function() {
+        var err = CmisError.fromNetworkError(new Error('socket hang up'), '/cmis/root', 'request failed');
+
+        expect(err.type).toBe('network');
+        expect(err.exitCode).toBe(15);
+        expect(String(err)).toBe('request failed /cmis/root: network error - socket hang up');
+    });
+
+    it("should print number of failures in each category", function() {
+        spyOn(console, 'log');
+        spyOn(grunt.log, 'error');
+
+        CmisError.printSummary([
+            CmisError.fromResponse({statusCode: 403}, 'a.html', 'failed to delete'),
+            CmisError.fromResponse({statusCode: 403}, 'b.html', 'failed to delete'),
+            'could not read local file'
+        ]);
+
+        expect(grunt.log.error).toHaveBeenCalledWith('Failures:');
+        expect(console.log).toHaveBeenCalledWith('  permission denied   2');
+        expect(console.log).toHaveBeenCalledWith('  other               1');
+        expect(console.log.calls.length).toEqual(3);
+    });
+
+});
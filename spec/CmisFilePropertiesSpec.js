@@ -0,0 +1,91 @@
+var CmisFileProperties = require('../js/CmisFileProperties');
+
+var properties = {
+    "cmis:name": "faq.html",
+    "cmis:objectId": 'nodeId;1.5',
+    "cmis:baseTypeId": 'cmis:document',
+    "cmis:objectTypeId": 'cmis:document',
+    "cmis:secondaryObjectTypeIds": ['P:cm:titled'],
+    "cmis:versionLabel": '1.5',
+    "cmis:contentStreamLength": 42,
+    "cmis:createdBy": 'admin',
+    "cmis:lastModifiedBy": 'jsmith',
+    "cmis:isVersionSeriesCheckedOut": true,
+    "cmis:versionSeriesCheckedOutBy": 'jsmith',
+    "cm:title": 'FAQ'
+};
+
+// legacy CMIS wraps every property value
+function toLegacy(properties) {
+    var legacyProperties = {};
+    Object.keys(properties).forEach(function(name) {
+        legacyProperties[name] = {value: properties[name]};
+    });
+    return {object: {properties: legacyProperties}};
+}
+
+function withDates(properties, creationDate, lastModificationDate) {
+    var result = JSON.parse(JSON.stringify(properties));
+    result["cmis:creationDate"] = creationDate;
+    result["cmis:lastModificationDate"] = lastModificationDate;
+    return result;
+}
+
+function describeDialect(dialect, cmisFileProperties) {
+    describe("CmisFileProperties for " + dialect + " CMIS", function() {
+
+        it("should expose standard properties", function() {
+            expect(cmisFileProperties.getName()).toBe('faq.html');
+            expect(cmisFileProperties.getObjectId()).toBe('nodeId;1.5');
+            expect(cmisFileProperties.isDocument()).toBe(true);
+            expect(cmisFileProperties.getObjectTypeId()).toBe('cmis:document');
+            expect(cmisFileProperties.getSecondaryObjectTypeIds()).toEqual(['P:cm:titled']);
+            expect(cmisFileProperties.getContentStreamLength()).toBe(42);
+            expect(cmisFileProperties.getCreatedBy()).toBe('admin');
+            expect(cmisFileProperties.getLastModifiedBy()).toBe('jsmith');
+        });
+
+        it("should expose dates as milliseconds", function() {
+            expect(cmisFileProperties.getCreationDate()).toBe(1400000000000);
+            expect(cmisFileProperties.getLastModificationDate()).toBe(1500000000000);
+        });
+
+        it("should expose checkout state", function() {
+            expect(cmisFileProperties.isVersionSeriesCheckedOut()).toBe(true);
+            expect(cmisFileProperties.getVersionSeriesCheckedOutBy()).toBe('jsmith');
+            expect(cmisFileProperties.isPrivateWorkingCopy()).toBe(false);
+        });
+
+        it("should expose any property", function() {
+            expect(cmisFileProperties.getProperty('cm:title')).toBe('FAQ');
+            expect(cmisFileProperties.getProperty('cm:description')).toBeUndefined();
+            expect(cmisFileProperties.getProperties()['cm:title']).toBe('FAQ');
+            expect(cmisFileProperties.getProperties()['cmis:versionLabel']).toBe('1.5');
+        });
+    });
+}
+
+describeDialect('modern', CmisFileProperties({
+    succinctProperties: withDates(properties, 1400000000000, 1500000000000)
+}));
+
+describeDialect('legacy', CmisFileProperties(toLegacy(withDates(properties,
+    new Date(1400000000000).toISOString(), new Date(1500000000000).toISOString()))));
+
+// objects returned on their own, e.g. versions
+describeDialect('modern object', CmisFileProperties.fromObject({
+    succinctProperties: withDates(properties, 1400000000000, 1500000000000)
+}));
+
+describeDialect('legacy object', CmisFileProperties.fromObject(toLegacy(withDates(properties,
+    new Date(1400000000000).toISOString(), new Date(1500000000000).toISOString())).object));
+
+describe("CmisFileProperties without optional properties", function() {
+    var cmisFileProperties = CmisFileProperties({succinctProperties: {"cmis:name": "faq.html"}});
+
+    it("should not be checked out", function() {
+        expect(cmisFileProperties.isVersionSeriesCheckedOut()).toBe(false);
+        expect(cmisFileProperties.getSecondaryObjectTypeIds()).toEqual([]);
+        expect(cmisFileProperties.getLastModificationDate()).toBeUndefined();
+    });
+});
@@ -0,0 +1,120 @@
+var grunt = require('grunt');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var versionRegistry = require('../js/VersionRegistry');
+var ContentCreator = require('../js/ContentCreator');
+
+describe("ContentCreator.createMissing()", function() {
+
+    // local file structure:
+    //
+    //  tmp/create/
+    //          - index.html
+    //
+    //  tmp/create/pages/
+    //              - existing.html
+    //              - new.html
+    //
+    // only /cmis/root/pages/existing.html exists in CMS
+
+    var cmisSession;
+    var contentCreator;
+
+    beforeEach(function() {
+        grunt.file.delete('tmp/create');
+        grunt.file.write('tmp/create/index.html', 'index');
+        grunt.file.write('tmp/create/pages/existing.html', 'existing');
+        grunt.file.write('tmp/create/pages/new.html', 'new');
+
+        var existingFolders = {
+            '/cmis/root': 'rootId'
+        };
+
+        cmisSession = {
+            getObjectByPath: jasmine.createSpy('getObjectByPath').andCallFake(function(path) {
+                if (existingFolders[path]) {
+                    return new CmisRequestMock().resolve({succinctProperties: {'cmis:objectId': existingFolders[path]}});
+                }
+                return new CmisRequestMock().reject({statusCode: 404});
+            }),
+            createFolder: jasmine.createSpy('createFolder').andCallFake(function(parentId, name) {
+                existingFolders['/cmis/root/' + name] = name + 'Id';
+                return new CmisRequestMock().resolve({succinctProperties: {'cmis:objectId': name + 'Id'}});
+            }),
+            createDocument: jasmine.createSpy('createDocument').andCallFake(function(parentId, content, name) {
+                return new CmisRequestMock().resolve({
+                    succinctProperties: {
+                        'cmis:objectId': name + 'Id',
+                        'cmis:versionLabel': '1.0',
+                        'alfcmis:nodeRef': name + 'NodeId'
+                    }
+                });
+            })
+        };
+
+        contentCreator = ContentCreator.create(cmisSession, {});
+    });
+
+    it("should create documents and folders that don't exist in CMS", function(done) {
+        contentCreator.createMissing('/cmis/root', 'tmp/create', ['pages/existing.html'], function(err) {
+            expect(err).toBeFalsy();
+
+            expect(cmisSession.createFolder).toHaveBeenCalledWith('rootId', 'pages');
+            expect(cmisSession.createFolder.calls.length).toEqual(1);
+
+            expect(cmisSession.createDocument).toHaveBeenCalledWith('rootId', jasmine.any(Buffer), 'index.html', 'text/html');
+            expect(cmisSession.createDocument).toHaveBeenCalledWith('pagesId', jasmine.any(Buffer), 'new.html', 'text/html');
+            expect(cmisSession.createDocument.calls.length).toEqual(2);
+            done();
+        });
+    });
+
+    it("should track version of created documents", function(done) {
+        contentCreator.createMissing('/cmis/root', 'tmp/create', ['pages/existing.html'], function(err) {
+            expect(err).toBeFalsy();
+            expect(versionRegistry.hasVersion('new.htmlNodeId', '1.0')).toBeTruthy();
+            expect(versionRegistry.hasVersion('index.htmlNodeId', '1.0')).toBeTruthy();
+            done();
+        });
+    });
+
+    it("should create single file when path to file is provided", function(done) {
+        contentCreator.createMissing('/cmis/root/index.html', 'tmp/create/index.html', [], function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.createFolder).not.toHaveBeenCalled();
+            expect(cmisSession.createDocument).toHaveBeenCalledWith('rootId', jasmine.any(Buffer), 'index.html', 'text/html');
+            expect(cmisSession.createDocument.calls.length).toEqual(1);
+            done();
+        });
+    });
+
+    it("should not create anything if all documents exist", function(done) {
+        contentCreator.createMissing('/cmis/root', 'tmp/create', ['/index.html', 'pages/existing.html', 'pages/new.html'], function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.createFolder).not.toHaveBeenCalled();
+            expect(cmisSession.createDocument).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should not create conflict copies saved by sync, or downloaded versions", function(done) {
+        grunt.file.write('tmp/create/pages/existing.remote.html', 'remote');
+        grunt.file.write('tmp/create/pages/existing.v1.4.html', 'version 1.4');
+
+        contentCreator.createMissing('/cmis/root', 'tmp/create', ['/index.html', 'pages/existing.html', 'pages/new.html'], function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.createDocument).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should fail if document can't be created", function(done) {
+        cmisSession.createDocument = jasmine.createSpy('createDocument').andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 409});
+        });
+        contentCreator.createMissing('/cmis/root/index.html', 'tmp/create/index.html', [], function(err) {
+            expect(err).toBeTruthy();
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,82 @@
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+
+var fileIOMock = {};
+var DocumentFetcher = proxyquire('../js/DocumentFetcher', {
+    './FileIO': {
+        create: function() {
+            return fileIOMock;
+        }
+    }
+});
+
+function document(objectId, name) {
+    return {
+        succinctProperties: {
+            'cmis:objectId': objectId + ';1.1',
+            'cmis:name': name,
+            'cmis:baseTypeId': 'cmis:document',
+            'alfcmis:nodeRef': objectId
+        }
+    };
+}
+
+function parent(path) {
+    return {object: {succinctProperties: {'cmis:path': path}}};
+}
+
+describe("DocumentFetcher", function() {
+    var cmisSession;
+    var documentFetcher;
+    var parents;
+
+    beforeEach(function() {
+        parents = [parent('/other/site'), parent('/cmis/root/pages/help')];
+        cmisSession = {
+            getObject: jasmine.createSpy('getObject').andCallFake(function(objectId) {
+                return new CmisRequestMock().resolve(document(objectId, 'faq.html'));
+            }),
+            getParents: jasmine.createSpy('getParents').andCallFake(function() {
+                return new CmisRequestMock().resolve(parents);
+            })
+        };
+        fileIOMock.downloadFile = jasmine.createSpy('downloadFile').andCallFake(function(localDir, cmisFileProperties, callback) {
+            callback();
+        });
+
+        documentFetcher = DocumentFetcher.create(cmisSession, {cmisRoot: '/cmis/root', localRoot: 'tmp'});
+    });
+
+    it("should download latest version of the document to the matching local folder", function(done) {
+        documentFetcher.downloadDocument('/cmis/root/pages', 'tmp/pages', 'faq', function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.getObject).toHaveBeenCalledWith('faq', 'latest');
+            expect(fileIOMock.downloadFile).toHaveBeenCalledWith('tmp/pages/help', jasmine.any(Object), jasmine.any(Function));
+            expect(fileIOMock.downloadFile.mostRecentCall.args[1].getObjectId()).toBe('faq;1.1');
+            done();
+        });
+    });
+
+    it("should skip document in another folder", function(done) {
+        parents = [parent('/other/site')];
+
+        documentFetcher.downloadDocument('/cmis/root/pages', 'tmp/pages', 'faq', function(err) {
+            expect(err).toBeFalsy();
+            expect(fileIOMock.downloadFile).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should skip document deleted since", function(done) {
+        cmisSession.getObject.andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 404});
+        });
+
+        documentFetcher.downloadDocument('/cmis/root/pages', 'tmp/pages', 'faq', function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.getParents).not.toHaveBeenCalled();
+            expect(fileIOMock.downloadFile).not.toHaveBeenCalled();
+            done();
+        });
+    });
+});
@@ -0,0 +1,59 @@
+var proxyquire = require('proxyquire');
+var CmisFileProperties = require('../js/CmisFileProperties');
+var RunReport = require('../js/RunReport');
+var SyncStates = require('../js/SyncStates');
+
+var fileIOMock = {};
+var FileActions = proxyquire('../js/FileActions', {
+    './FileIO': {
+        create: function() {
+            return fileIOMock;
+        }
+    }
+});
+
+function document(name, properties) {
+    var succinctProperties = {
+        'cmis:objectId': name + 'Id',
+        'cmis:name': name,
+        'cmis:baseTypeId': 'cmis:document'
+    };
+    Object.keys(properties || {}).forEach(function(id) {
+        succinctProperties[id] = properties[id];
+    });
+    return CmisFileProperties({succinctProperties: succinctProperties});
+}
+
+describe("FileActions", function() {
+    var options = {cmisRoot: '/cmis/root', localRoot: 'tmp', exclude: '**/drafts/**'};
+
+    beforeEach(function() {
+        fileIOMock.getStatus = jasmine.createSpy('getStatus').andCallFake(function(localDir, cmisFileProperties, callback) {
+            callback(null, SyncStates.localModified);
+        });
+        spyOn(RunReport, 'track').andCallFake(function(filePath, options, callback) {
+            return callback;
+        });
+    });
+
+    it("should skip private working copies and excluded paths", function() {
+        var fileActions = FileActions.create({}, options, 'status');
+
+        expect(fileActions.accepts('/cmis/root/pages/faq.html', document('faq.html'))).toBe(true);
+        expect(fileActions.accepts('/cmis/root/pages/faq.html', document('faq.html', {'cmis:isPrivateWorkingCopy': true}))).toBe(false);
+        expect(fileActions.accepts('/cmis/root/drafts/faq.html', document('faq.html'))).toBe(false);
+    });
+
+    it("should run the action in matching local folder, keeping its result by relative path", function(done) {
+        var fileActions = FileActions.create({}, options, 'status');
+
+        fileActions.processFile('/cmis/root', 'tmp', '/cmis/root/pages', document('faq.html'), function(err) {
+            expect(err).toBeFalsy();
+            expect(fileIOMock.getStatus).toHaveBeenCalledWith('tmp/pages', jasmine.any(Object), jasmine.any(Function));
+            expect(RunReport.track).toHaveBeenCalledWith('tmp/pages/faq.html', options, jasmine.any(Function));
+            expect(fileActions.statuses).toEqual({'pages/faq.html': SyncStates.localModified});
+            expect(fileActions.documents).toEqual(['pages/faq.html']);
+            done();
+        });
+    });
+});
@@ -0,0 +1,123 @@
+var proxyquire = require('proxyquire');
+var httpStub = require('./stubs').httpStub;
+var fsStub = require('./stubs').fsStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': httpStub,
+    'fs': fsStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword'
+};
+
+function cmisFileProperties(name, mimeType) {
+    return CmisFileProperties({
+        succinctProperties: {
+            "cmis:name": name,
+            "cmis:objectId": 'testId',
+            "cmis:contentStreamMimeType": mimeType,
+            "cmis:versionLabel": "1.3",
+            "alfcmis:nodeRef": 'nodeId'
+        }
+    });
+}
+
+
+describe("FileUtils.getDiff()", function() {
+    var cmisSession;
+    var fileIO;
+
+    beforeEach(function() {
+        cmisSession = {
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andReturn("http://cmis.alfresco.com/cmisbrowser/documentid"),
+            setContentStream: jasmine.createSpy('setContentStream')
+        };
+
+        fileIO = FileIO.create(cmisSession, options);
+
+        httpStub.reset();
+        fsStub.reset();
+    });
+
+    afterEach(function() {
+        expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+    });
+
+    it("should return unified diff for text documents", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties('test.txt', 'text/plain'), function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toContain('--- tmp/test.txt\tCMS version 1.3');
+            expect(diff).toContain('+++ tmp/test.txt\tlocal');
+            expect(diff).toContain('-remote line');
+            expect(diff).toContain('+local line');
+            expect(diff).toContain(' same line');
+            done();
+        });
+
+        fsStub.resolve(new Buffer('same line\nlocal line\n'));
+        httpStub.resolve('same line\nremote line\n', 200);
+    });
+
+    it("should detect text documents by file name if mime type is not provided", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties('test.html'), function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toContain('+<p>local</p>');
+            done();
+        });
+
+        fsStub.resolve(new Buffer('<p>local</p>'));
+        httpStub.resolve('<p>remote</p>', 200);
+    });
+
+    it("should return size and hash summary for binary documents", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties('test.png', 'image/png'), function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toContain('Binary files differ: tmp/test.png');
+            expect(diff).toContain('CMS version 1.3: 6 bytes, sha1 ');
+            expect(diff).toContain('local: 5 bytes, sha1 ');
+            done();
+        });
+
+        fsStub.resolve(new Buffer('local'));
+        httpStub.resolve('remote', 200);
+    });
+
+    it("should return no diff if content is the same", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties('test.txt', 'text/plain'), function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toBeNull();
+            done();
+        });
+
+        fsStub.resolve(new Buffer('same content'));
+        httpStub.resolve('same content', 200);
+    });
+
+    it("should skip files that can't be read locally", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties('test.txt', 'text/plain'), function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toBeFalsy();
+            expect(cmisSession.getContentStreamURL).not.toHaveBeenCalled();
+            done();
+        });
+
+        fsStub.reject('no such file');
+    });
+
+    it("should fail if remote content can't be retrieved", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties('test.txt', 'text/plain'), function(err) {
+            expect(err).toBeTruthy();
+            done();
+        });
+
+        fsStub.resolve(new Buffer('local content'));
+        httpStub.resolve('some problem', 500);
+    });
+
+});
@@ -1,5 +1,6 @@
 var fs = require('fs');
 var proxyquire = require('proxyquire');
+var _ = require('underscore');
 var versionRegistry = require('../js/VersionRegistry');
 var httpStub = require('./stubs').httpStub;
 var CmisFileProperties = require('../js/CmisFileProperties');
@@ -107,12 +108,12 @@ describe("FileUtils.downloadFile()", function() {
         }, 1000);
     });
 
-    it("should ignore if http status is not 200, should not change version in registry", function(done) {
+    it("should fail if http status is not 200, should not change version in registry", function(done) {
         fileIO.downloadFile('tmp', cmisFileProperties, function(err) {
-            expect(err).toBeFalsy();
+            expect(err.type).toBe('constraint');
+            expect(String(err)).toBe("failed to download tmp/test.txt: repository constraint violated (409)");
             expect(fs.readFileSync('tmp/test.txt').toString()).toBe("old content");
             expect(versionRegistry.hasVersion("nodeId", "1.2")).toBeTruthy();
-            // TODO test st out - error message
             done();
         });
 
@@ -124,7 +125,8 @@ describe("FileUtils.downloadFile()", function() {
 
     it("should fail if http request fails with error", function(done) {
         fileIO.downloadFile('tmp', cmisFileProperties, function(err) {
-            expect(err).toBe("some error");
+            expect(err.type).toBe('network');
+            expect(String(err)).toBe("failed to get content testId: network error - some error");
             // should note change version in registry
             expect(versionRegistry.hasVersion("nodeId", "1.2")).toBeTruthy();
             // TODO test st out - error message
@@ -134,6 +136,40 @@ describe("FileUtils.downloadFile()", function() {
         httpStub.reject("some error");
     });
 
+    describe("in dry run", function() {
+
+        beforeEach(function() {
+            fileIO = FileIO.create(cmisSession, _.extend({dryRun: true}, options));
+        });
+
+        it("should not overwrite file if contents is different, and should not track version", function(done) {
+            fileIO.downloadFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(fs.readFileSync('tmp/test.txt').toString()).toBe("old content");
+                expect(versionRegistry.hasVersion("nodeId", "1.2")).toBeTruthy();
+                done();
+            });
+
+            fs.writeFileSync('tmp/test.txt', "old content");
+
+            httpStub.resolve("new content", 200);
+        });
+
+        it("should not create file if it doesnt exist locally", function(done) {
+            fileIO.downloadFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(fs.existsSync('tmp/test.txt')).toBeFalsy();
+                expect(versionRegistry.hasVersion("nodeId", "1.2")).toBeTruthy();
+                done();
+            });
+            if(fs.existsSync('tmp/test.txt')){
+                fs.unlinkSync('tmp/test.txt');
+            }
+
+            httpStub.resolve("new file", 200);
+        });
+    });
+
 
 
 });
@@ -0,0 +1,60 @@
+var proxyquire = require('proxyquire');
+var httpStub = require('./stubs').httpStub;
+var fsStub = require('./stubs').fsStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var Transport = require('../js/Transport');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': {},
+    'https': httpStub,
+    'fs': fsStub
+});
+
+var options = {
+    url: 'https://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword',
+    rejectUnauthorized: false
+};
+
+var cmisFileProperties = CmisFileProperties({
+    succinctProperties: {
+        "cmis:name": "test.txt",
+        "cmis:objectId": 'testId',
+        "cmis:contentStreamMimeType": 'text/plain',
+        "cmis:versionLabel": "1.3",
+        "alfcmis:nodeRef": 'nodeId'
+    }
+});
+
+describe("FileIO with https CMIS endpoint", function() {
+
+    afterEach(function() {
+        Transport.configure({});
+    });
+
+    it("should get content stream over https, using configured TLS settings", function(done) {
+        var cmisSession = {
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andReturn("https://cmis.alfresco.com/cmisbrowser/documentid")
+        };
+        Transport.configure(options);
+        var fileIO = FileIO.create(cmisSession, options);
+        spyOn(httpStub, 'get').andCallThrough();
+        httpStub.reset();
+        fsStub.reset();
+
+        fileIO.getDiff('tmp', cmisFileProperties, function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toBeNull();
+            expect(httpStub.get.mostRecentCall.args[0].href).toBe('https://cmis.alfresco.com/cmisbrowser/documentid');
+            expect(httpStub.get.mostRecentCall.args[0].agent).toBe(Transport.getAgent('https://cmis.alfresco.com'));
+            done();
+        });
+
+        fsStub.resolve(new Buffer('same content'));
+        httpStub.resolve('same content', 200);
+    });
+
+});
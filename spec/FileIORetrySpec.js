@@ -0,0 +1,113 @@
+var http = require('http');
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var httpStub = require('./stubs').httpStub;
+var fsStub = require('./stubs').fsStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var Retry = require('../js/Retry');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': httpStub,
+    'fs': fsStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword'
+};
+
+var cmisFileProperties = CmisFileProperties({
+    succinctProperties: {
+        "cmis:name": "test.txt",
+        "cmis:objectId": 'testId',
+        "cmis:contentStreamMimeType": 'text/plain',
+        "cmis:versionLabel": "1.3",
+        "alfcmis:nodeRef": 'nodeId'
+    }
+});
+
+describe("FileIO content stream retries", function() {
+    var cmisSession;
+    var fileIO;
+
+    beforeEach(function() {
+        cmisSession = {
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andReturn("http://cmis.alfresco.com/cmisbrowser/documentid")
+        };
+        fileIO = FileIO.create(cmisSession, options);
+        Retry.configure({retries: 1, retryDelay: 0});
+        spyOn(grunt.log, 'error');
+        spyOn(httpStub, 'get').andCallThrough();
+        httpStub.reset();
+        fsStub.reset();
+    });
+
+    afterEach(function() {
+        Retry.configure({});
+    });
+
+    it("should download content stream again if CMS is unavailable", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties, function(err, diff) {
+            expect(err).toBeFalsy();
+            expect(diff).toBeNull();
+            expect(httpStub.get.calls.length).toEqual(2);
+            expect(grunt.log.error).toHaveBeenCalledWith('request failed: 503 content stream testId, retrying in 0 ms (1 of 1)');
+            done();
+        });
+
+        fsStub.resolve(new Buffer('same content'));
+        httpStub.resolve('unavailable', 503);
+        setTimeout(function() {
+            httpStub.resolve('same content', 200);
+        }, 10);
+    });
+
+    it("should fail when retries of network error are used up", function(done) {
+        fileIO.getDiff('tmp', cmisFileProperties, function(err) {
+            expect(String(err)).toBe('failed to get content testId: network error - connect ECONNREFUSED');
+            expect(httpStub.get.calls.length).toEqual(2);
+            done();
+        });
+
+        fsStub.resolve(new Buffer('same content'));
+        httpStub.reject('connect ECONNREFUSED');
+        setTimeout(function() {
+            httpStub.reject('connect ECONNREFUSED');
+        }, 10);
+    });
+
+});
+
+describe("FileIO content stream timeout", function() {
+    var server;
+
+    beforeEach(function(done) {
+        // never responds
+        server = http.createServer(function() {});
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(function(done) {
+        server.close(done);
+    });
+
+    it("should fail if CMS doesn't respond in time", function(done) {
+        var cmisSession = {
+            getContentStreamURL: function() {
+                return 'http://127.0.0.1:' + server.address().port + '/cmisbrowser/documentid';
+            }
+        };
+        var fileIO = proxyquire('../js/FileIO', {'fs': fsStub}).create(cmisSession, grunt.util._.extend({timeout: 50}, options));
+        fsStub.reset();
+
+        fileIO.getDiff('tmp', cmisFileProperties, function(err) {
+            expect(String(err)).toBe('failed to get content testId: network error - timeout of 50ms exceeded');
+            done();
+        });
+        fsStub.resolve(new Buffer('same content'));
+    });
+
+});
@@ -0,0 +1,133 @@
+var proxyquire = require('proxyquire');
+var httpStub = require('./stubs').httpStub;
+var fsStub = require('./stubs').fsStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var versionRegistry = require('../js/VersionRegistry');
+var syncStates = require('../js/SyncStates');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': httpStub,
+    'fs': fsStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword'
+};
+
+var cmisFileProperties = CmisFileProperties({
+    succinctProperties: {
+        "cmis:name": "test.txt",
+        "cmis:objectId": 'testId',
+        "cmis:contentStreamMimeType": 'text/plain',
+        "cmis:versionLabel": "1.3",
+        "alfcmis:nodeRef": 'nodeId'
+    }
+});
+
+
+describe("FileUtils.getStatus()", function() {
+    var cmisSession;
+    var fileIO;
+
+    beforeEach(function() {
+        cmisSession = {
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andReturn("http://cmis.alfresco.com/cmisbrowser/documentid"),
+            setContentStream: jasmine.createSpy('setContentStream')
+        };
+
+        fileIO = FileIO.create(cmisSession, options);
+
+        httpStub.reset();
+        fsStub.reset();
+
+        versionRegistry.setVersion("nodeId", "1.3");
+    });
+
+    afterEach(function() {
+        expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+    });
+
+    it("should report missing locally if local file can't be read", function(done) {
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.missingLocally);
+            done();
+        });
+
+        fsStub.reject('no such file');
+    });
+
+    it("should report unchanged if content is the same", function(done) {
+        versionRegistry.setVersion("nodeId", "1.2");
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.unchanged);
+            done();
+        });
+
+        fsStub.resolve(new Buffer('same content'));
+        httpStub.resolve('same content', 200);
+    });
+
+    it("should report locally modified if content is different and version is in sync", function(done) {
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.localModified);
+            done();
+        });
+
+        fsStub.resolve(new Buffer('new content'));
+        httpStub.resolve('old content', 200);
+    });
+
+    it("should report remotely modified if content is different and version is out of sync", function(done) {
+        versionRegistry.setVersion("nodeId", "1.2", null, new Buffer('old content'));
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.remoteModified);
+            done();
+        });
+
+        fsStub.resolve(new Buffer('old content'));
+        httpStub.resolve('new content', 200);
+    });
+
+    it("should report conflict if both local and remote content changed", function(done) {
+        versionRegistry.setVersion("nodeId", "1.2", null, new Buffer('base content'));
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.conflict);
+            done();
+        });
+
+        fsStub.resolve(new Buffer('local content'));
+        httpStub.resolve('remote content', 200);
+    });
+
+    it("should report conflict if content is different and document was never synced", function(done) {
+        versionRegistry.setVersion("nodeId", null);
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.conflict);
+            done();
+        });
+
+        fsStub.resolve(new Buffer('local content'));
+        httpStub.resolve('remote content', 200);
+    });
+
+    it("should fail if remote content can't be retrieved", function(done) {
+        fileIO.getStatus('tmp', cmisFileProperties, function(err) {
+            expect(err).toBeTruthy();
+            done();
+        });
+
+        fsStub.resolve(new Buffer('local content'));
+        httpStub.resolve('some problem', 500);
+    });
+
+});
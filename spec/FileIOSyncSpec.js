@@ -0,0 +1,169 @@
+var fs = require('fs');
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var httpStub = require('./stubs').httpStub;
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var versionRegistry = require('../js/VersionRegistry');
+var syncStates = require('../js/SyncStates');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': httpStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword'
+};
+
+var cmisFileProperties = CmisFileProperties({
+    succinctProperties: {
+        "cmis:name": "faq.html",
+        "cmis:objectId": 'testId',
+        "cmis:contentStreamMimeType": 'text/html',
+        "cmis:versionLabel": "1.3",
+        "alfcmis:nodeRef": 'nodeId'
+    }
+});
+
+
+describe("FileUtils.syncFile()", function() {
+    var cmisSession;
+    var fileIO;
+    var remoteContent;
+
+    beforeEach(function() {
+        cmisSession = {
+            // local file is read first, so respond once remote content is requested
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andCallFake(function() {
+                process.nextTick(function() {
+                    httpStub.resolve(remoteContent, 200);
+                });
+                return "http://cmis.alfresco.com/cmisbrowser/documentid";
+            }),
+            setContentStream: jasmine.createSpy('setContentStream').andCallFake(function() {
+                return new CmisRequestMock().resolve();
+            }),
+            getObject: jasmine.createSpy('getObject').andCallFake(function() {
+                return new CmisRequestMock().resolve({succinctProperties: {"cmis:versionLabel": "1.4"}});
+            })
+        };
+
+        fileIO = FileIO.create(cmisSession, options);
+
+        httpStub.reset();
+        remoteContent = 'remote content';
+        grunt.file.delete('tmp/sync');
+        grunt.file.write('tmp/sync/faq.html', 'local content');
+    });
+
+    it("should download remote content if only remote content changed", function(done) {
+        versionRegistry.setVersion("nodeId", "1.2", 'tmp/sync/faq.html', new Buffer('local content'));
+
+        fileIO.syncFile('tmp/sync', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.remoteModified);
+            expect(grunt.file.read('tmp/sync/faq.html')).toEqual('remote content');
+            expect(versionRegistry.hasVersion("nodeId", "1.3")).toBeTruthy();
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should upload local content if only local content changed", function(done) {
+        versionRegistry.setVersion("nodeId", "1.3", 'tmp/sync/faq.html', new Buffer('remote content'));
+
+        fileIO.syncFile('tmp/sync', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.localModified);
+            expect(cmisSession.setContentStream).toHaveBeenCalledWith('testId', jasmine.any(Buffer), true, 'text/html');
+            expect(versionRegistry.hasVersion("nodeId", "1.4")).toBeTruthy();
+            done();
+        });
+    });
+
+    it("should fail if local content can't be uploaded", function(done) {
+        versionRegistry.setVersion("nodeId", "1.3", 'tmp/sync/faq.html', new Buffer('remote content'));
+        cmisSession.setContentStream.andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 409});
+        });
+
+        fileIO.syncFile('tmp/sync', cmisFileProperties, function(err, state) {
+            expect(err).toBeTruthy();
+            expect(err.path).toBe('tmp/sync/faq.html');
+            expect(state).toBe(syncStates.localModified);
+            expect(versionRegistry.hasVersion("nodeId", "1.3")).toBeTruthy();
+            done();
+        });
+    });
+
+    it("should fail if local content can't be uploaded, when remote content is known", function(done) {
+        var trackedProperties = CmisFileProperties({
+            succinctProperties: {
+                "cmis:name": "faq.html",
+                "cmis:objectId": 'testId',
+                "cmis:contentStreamMimeType": 'text/html',
+                "cmis:versionLabel": "1.3",
+                "cmis:contentStreamLength": 14,
+                "cmis:lastModificationDate": 1400000000000,
+                "cmis:changeToken": '1400000000000',
+                "alfcmis:nodeRef": 'nodeId'
+            }
+        });
+        versionRegistry.setVersion("nodeId", "1.3", 'tmp/sync/faq.html', new Buffer('remote content'), trackedProperties);
+        cmisSession.setContentStream.andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 409});
+        });
+
+        fileIO.syncFile('tmp/sync', trackedProperties, function(err, state) {
+            expect(err).toBeTruthy();
+            expect(err.path).toBe('tmp/sync/faq.html');
+            expect(state).toBe(syncStates.localModified);
+            expect(cmisSession.getContentStreamURL).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should save remote copy beside local file if both changed", function(done) {
+        versionRegistry.setVersion("nodeId", "1.2", 'tmp/sync/faq.html', new Buffer('base content'));
+
+        fileIO.syncFile('tmp/sync', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.conflict);
+            expect(grunt.file.read('tmp/sync/faq.html')).toEqual('local content');
+            expect(grunt.file.read('tmp/sync/faq.remote.html')).toEqual('remote content');
+            expect(versionRegistry.hasVersion("nodeId", "1.2")).toBeTruthy();
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should download remote content if local file is missing", function(done) {
+        fs.unlinkSync('tmp/sync/faq.html');
+
+        fileIO.syncFile('tmp/sync', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.missingLocally);
+            expect(grunt.file.read('tmp/sync/faq.html')).toEqual('remote content');
+            done();
+        });
+    });
+
+    it("should track remote version if content is the same", function(done) {
+        remoteContent = 'local content';
+        versionRegistry.setVersion("nodeId", "1.2");
+
+        fileIO.syncFile('tmp/sync', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.unchanged);
+            expect(versionRegistry.hasVersion("nodeId", "1.3")).toBeTruthy();
+            expect(versionRegistry.isContentChanged("nodeId", new Buffer('local content'))).toBeFalsy();
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,110 @@
+var fs = require('fs');
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var httpStub = require('./stubs').httpStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var versionRegistry = require('../js/VersionRegistry');
+var syncStates = require('../js/SyncStates');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': httpStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword'
+};
+
+function createCmisFileProperties(lastModificationDate) {
+    return CmisFileProperties({
+        succinctProperties: {
+            "cmis:name": "unchanged.txt",
+            "cmis:objectId": 'testId',
+            "cmis:contentStreamMimeType": 'text/plain',
+            "cmis:versionLabel": "1.3",
+            "cmis:contentStreamLength": 12,
+            "cmis:lastModificationDate": lastModificationDate,
+            "cmis:changeToken": String(lastModificationDate),
+            "alfcmis:nodeRef": 'nodeId'
+        }
+    });
+}
+
+describe("FileIO with content synced before", function() {
+    var cmisSession;
+    var fileIO;
+    var cmisFileProperties = createCmisFileProperties(1400000000000);
+
+    beforeEach(function() {
+        cmisSession = {
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andReturn("http://cmis.alfresco.com/cmisbrowser/documentid"),
+            setContentStream: jasmine.createSpy('setContentStream').andReturn(new CmisRequestMock()),
+            getObject: jasmine.createSpy('getObject').andReturn(new CmisRequestMock())
+        };
+        fileIO = FileIO.create(cmisSession, options);
+
+        spyOn(httpStub, 'get').andCallThrough();
+        httpStub.reset();
+
+        grunt.file.write('tmp/unchanged.txt', 'same content');
+        versionRegistry.setVersion("nodeId", "1.3", 'tmp/unchanged.txt', new Buffer('same content'), cmisFileProperties);
+    });
+
+    it("should not download document that didn't change", function(done) {
+        fileIO.downloadFile('tmp', cmisFileProperties, function(err) {
+            expect(err).toBeFalsy();
+            expect(httpStub.get).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should download document modified in CMS", function(done) {
+        fileIO.downloadFile('tmp', createCmisFileProperties(1500000000000), function(err) {
+            expect(err).toBeFalsy();
+            expect(httpStub.get).toHaveBeenCalled();
+            expect(fs.readFileSync('tmp/unchanged.txt').toString()).toBe('new content');
+            done();
+        });
+
+        httpStub.resolve('new content', 200);
+    });
+
+    it("should not upload file that was touched, but not changed", function(done) {
+        fs.utimesSync('tmp/unchanged.txt', new Date(), new Date(Date.now() + 10000));
+
+        fileIO.uploadFile('tmp', cmisFileProperties, function(err) {
+            expect(err).toBeFalsy();
+            expect(httpStub.get).not.toHaveBeenCalled();
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            expect(versionRegistry.isUnchanged(cmisFileProperties, 'tmp/unchanged.txt')).toBeTruthy();
+            done();
+        });
+    });
+
+    it("should upload changed file without getting content of the document", function(done) {
+        grunt.file.write('tmp/unchanged.txt', 'local change');
+
+        fileIO.uploadFile('tmp', cmisFileProperties, function() {});
+
+        setTimeout(function() {
+            expect(httpStub.get).not.toHaveBeenCalled();
+            expect(cmisSession.setContentStream).toHaveBeenCalled();
+            done();
+        }, 50);
+    });
+
+    it("should tell status of changed file without getting content of the document", function(done) {
+        grunt.file.write('tmp/unchanged.txt', 'local change');
+
+        fileIO.getStatus('tmp', cmisFileProperties, function(err, state) {
+            expect(err).toBeFalsy();
+            expect(state).toBe(syncStates.localModified);
+            expect(httpStub.get).not.toHaveBeenCalled();
+            done();
+        });
+    });
+});
@@ -1,4 +1,6 @@
 var proxyquire = require('proxyquire');
+var _ = require('underscore');
+var grunt = require('grunt');
 var CmisRequestMock = require('./stubs').CmisRequestMock;
 var httpStub = require('./stubs').httpStub;
 var fsStub = require('./stubs').fsStub;
@@ -53,12 +55,11 @@ describe("FileUtils.uploadFile()", function() {
         versionRegistry.setVersion("nodeId", "1.3");
     });
     
-    it("should not fail if there was failure reading the file", function(done) {
+    it("should fail if there was failure reading the file", function(done) {
 
         fileIO.uploadFile('tmp', cmisFileProperties, function(err) {
-            expect(err).toBeFalsy();
+            expect(err).toBe('unable to read file tmp/test.txt');
             expect(cmisSession.setContentStream).not.toHaveBeenCalled();
-            // TODO test st out - error message
             done();
         });
 
@@ -66,6 +67,22 @@ describe("FileUtils.uploadFile()", function() {
 
     });    
     
+    it("should not upload document checked out by another user", function(done) {
+        var checkedOut = CmisFileProperties({
+            succinctProperties: _.extend({
+                "cmis:isVersionSeriesCheckedOut": true,
+                "cmis:versionSeriesCheckedOutBy": 'jsmith'
+            }, cmisFileProperties.getProperties())
+        });
+
+        fileIO.uploadFile('tmp', checkedOut, function(err) {
+            expect(err).toBeFalsy();
+            expect(fsStub.readFile).not.toHaveBeenCalled();
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
     it("should not upload if versions dont match", function(done) {
         versionRegistry.setVersion("nodeId", "1.2");
         fileIO.uploadFile('tmp', cmisFileProperties, function(err) {
@@ -172,6 +189,71 @@ describe("FileUtils.uploadFile()", function() {
         });
     });
     
+    describe("in dry run", function(){
+
+        beforeEach(function() {
+            fileIO = FileIO.create(cmisSession, _.extend({dryRun: true}, options));
+        });
+
+        it("should not upload if content is not the same", function(done) {
+            fileIO.uploadFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(httpStub.get.calls.length).toEqual(1);
+                expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+                expect(versionRegistry.hasVersion("nodeId", "1.3")).toBeTruthy();
+                done();
+            });
+            fsStub.resolve('new content');
+            httpStub.resolve("old content", 200);
+        });
+
+        it("should skip if versions dont match", function(done) {
+            versionRegistry.setVersion("nodeId", "1.2");
+            fileIO.uploadFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(fsStub.readFile).not.toHaveBeenCalled();
+                expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    describe("with properties sidecar", function(){
+
+        beforeEach(function() {
+            cmisSession.getObject = jasmine.createSpy('getObject').andCallFake(function() {
+                return new CmisRequestMock().resolve({succinctProperties: {"cmis:objectId": 'testId;1.4', "cmis:versionLabel": "1.4"}});
+            });
+            cmisSession.updateProperties = jasmine.createSpy('updateProperties').andCallFake(function() {
+                return new CmisRequestMock().resolve();
+            });
+            fileIO = FileIO.create(cmisSession, _.extend({properties: ['cm:title']}, options));
+
+            // downloaded without title, then edited locally
+            versionRegistry.setProperties('nodeId', {});
+            grunt.file.write('tmp/.test.txt.properties.json', JSON.stringify({'cm:title': 'Test'}));
+        });
+
+        afterEach(function() {
+            grunt.file.delete('tmp/.test.txt.properties.json');
+        });
+
+        it("should update properties of the version series, after uploading new content", function(done) {
+            fileIO.uploadFile('tmp', cmisFileProperties, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.setContentStream).toHaveBeenCalledWith('testId', 'new content', true, 'text/plain');
+                expect(cmisSession.updateProperties).toHaveBeenCalledWith('nodeId', {'cm:title': 'Test'});
+                done();
+            });
+            fsStub.resolve('new content');
+            httpStub.resolve("old content", 200);
+
+            setTimeout(function(){
+                cmisRequest.resolve();
+            }, 100);
+        });
+    });
+
 
 
 });
@@ -0,0 +1,168 @@
+var fs = require('fs');
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var httpStub = require('./stubs').httpStub;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var versionRegistry = require('../js/VersionRegistry');
+
+var FileIO = proxyquire('../js/FileIO', {
+    'http': httpStub
+});
+
+var options = {
+    url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
+    cmisRoot: '/cmis/root/',
+    localRoot: 'tmp',
+    username: 'adminusername',
+    password: 'adminpassword'
+};
+
+function createObject(objectId, versionLabel) {
+    return {
+        succinctProperties: {
+            "cmis:name": "faq.html",
+            "cmis:objectId": objectId,
+            "cmis:contentStreamMimeType": 'text/html',
+            "cmis:versionLabel": versionLabel,
+            "alfcmis:nodeRef": 'nodeId'
+        }
+    };
+}
+
+// serves content once FileIO requests it
+function serveContent(content) {
+    var get = httpStub.get;
+    spyOn(httpStub, 'get').andCallFake(function() {
+        var request = get.apply(httpStub, arguments);
+        process.nextTick(function() {
+            httpStub.resolve(content, 200);
+        });
+        return request;
+    });
+}
+
+describe("FileIO versions", function() {
+    var cmisSession;
+    var cmisFileProperties = CmisFileProperties(createObject('nodeId;1.5', '1.5'));
+
+    beforeEach(function() {
+        cmisSession = {
+            getContentStreamURL: jasmine.createSpy('getContentStreamURL').andReturn("http://cmis.alfresco.com/cmisbrowser/documentid"),
+            getAllVersions: jasmine.createSpy('getAllVersions').andCallFake(function() {
+                return new CmisRequestMock().resolve([createObject('nodeId;1.5', '1.5'), createObject('nodeId;1.4', '1.4')]);
+            }),
+            setContentStream: jasmine.createSpy('setContentStream').andCallFake(function() {
+                return new CmisRequestMock().resolve();
+            }),
+            getObject: jasmine.createSpy('getObject').andCallFake(function() {
+                return new CmisRequestMock().resolve(createObject('nodeId;1.6', '1.6'));
+            })
+        };
+        httpStub.reset();
+
+        grunt.file.write('tmp/faq.html', 'current content');
+        versionRegistry.setVersion("nodeId", "1.5", 'tmp/faq.html', new Buffer('current content'), cmisFileProperties);
+    });
+
+    afterEach(function() {
+        grunt.file.delete('tmp/faq.v1.4.html');
+    });
+
+    it("should download version beside the local file", function(done) {
+        serveContent('old content');
+
+        FileIO.create(cmisSession, options).downloadVersion('tmp', cmisFileProperties, '1.4', function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.getContentStreamURL.mostRecentCall.args[0]).toBe('nodeId;1.4');
+            expect(fs.readFileSync('tmp/faq.v1.4.html').toString()).toBe('old content');
+            expect(fs.readFileSync('tmp/faq.html').toString()).toBe('current content');
+            done();
+        });
+    });
+
+    it("should download version over the local file, without changing version registry", function(done) {
+        serveContent('old content');
+
+        var inPlaceOptions = grunt.util._.extend({inPlace: true}, options);
+
+        FileIO.create(cmisSession, inPlaceOptions).downloadVersion('tmp', cmisFileProperties, '1.4', function(err) {
+            expect(err).toBeFalsy();
+            expect(fs.readFileSync('tmp/faq.html').toString()).toBe('old content');
+            expect(versionRegistry.hasVersion('nodeId', '1.5')).toBeTruthy();
+            done();
+        });
+    });
+
+    it("should not download version over the local file, if it has changes", function(done) {
+        grunt.file.write('tmp/faq.html', 'local change');
+
+        var inPlaceOptions = grunt.util._.extend({inPlace: true}, options);
+
+        FileIO.create(cmisSession, inPlaceOptions).downloadVersion('tmp', cmisFileProperties, '1.4', function(err) {
+            expect(err).toBe("can't download version 1.4 over tmp/faq.html - local file was changed since last download or upload");
+            expect(cmisSession.getContentStreamURL).not.toHaveBeenCalled();
+            expect(fs.readFileSync('tmp/faq.html').toString()).toBe('local change');
+            done();
+        });
+    });
+
+    it("should fail if version doesn't exist", function(done) {
+        FileIO.create(cmisSession, options).downloadVersion('tmp', cmisFileProperties, '0.9', function(err) {
+            expect(err).toBe('version 0.9 of tmp/faq.html not found');
+            done();
+        });
+    });
+
+    it("should revert document to version", function(done) {
+        serveContent('old content');
+
+        FileIO.create(cmisSession, options).revertFile('tmp', cmisFileProperties, '1.4', function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.setContentStream.mostRecentCall.args[0]).toBe('nodeId;1.5');
+            expect(cmisSession.setContentStream.mostRecentCall.args[1].toString()).toBe('old content');
+            expect(fs.readFileSync('tmp/faq.html').toString()).toBe('old content');
+            expect(versionRegistry.hasVersion('nodeId', '1.6')).toBeTruthy();
+            expect(versionRegistry.isContentChanged('nodeId', new Buffer('old content'))).toBeFalsy();
+            done();
+        });
+    });
+
+    it("should keep local file, if document can't be reverted", function(done) {
+        serveContent('old content');
+        cmisSession.setContentStream.andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 403});
+        });
+
+        FileIO.create(cmisSession, options).revertFile('tmp', cmisFileProperties, '1.4', function(err) {
+            expect(err.path).toBe('tmp/faq.html');
+            expect(fs.readFileSync('tmp/faq.html').toString()).toBe('current content');
+            expect(versionRegistry.hasVersion('nodeId', '1.5')).toBeTruthy();
+            done();
+        });
+    });
+
+    it("should not revert checked out document", function(done) {
+        var object = createObject('nodeId;1.5', '1.5');
+        object.succinctProperties['cmis:isVersionSeriesCheckedOut'] = true;
+        object.succinctProperties['cmis:versionSeriesCheckedOutBy'] = 'jsmith';
+        var checkedOut = CmisFileProperties(object);
+
+        FileIO.create(cmisSession, options).revertFile('tmp', checkedOut, '1.4', function(err) {
+            expect(err).toBe("can't revert tmp/faq.html - checked out by jsmith. Check it in or cancel checkout first.");
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should not revert document if local file has changes", function(done) {
+        grunt.file.write('tmp/faq.html', 'local change');
+
+        FileIO.create(cmisSession, options).revertFile('tmp', cmisFileProperties, '1.4', function(err) {
+            expect(err).toBe("can't revert tmp/faq.html - local file was changed since last download or upload");
+            expect(cmisSession.setContentStream).not.toHaveBeenCalled();
+            expect(fs.readFileSync('tmp/faq.html').toString()).toBe('local change');
+            done();
+        });
+    });
+});
@@ -6,11 +6,13 @@ var proxyquire = require('proxyquire');
 var cmisSession = {};
 var fileIOMock = {};
 var FilePorcessorLegacyApi = proxyquire('../js/FilePorcessorLegacyApi', {
-    './FileIO': {
-        create: function() {
-            return fileIOMock;
+    './FileActions': proxyquire('../js/FileActions', {
+        './FileIO': {
+            create: function() {
+                return fileIOMock;
+            }
         }
-    }
+    })
 });
 
 var CmisCopy = proxyquire('../js/CmisCopy', {
@@ -29,6 +31,7 @@ describe("CmisCopyTask with legacy CMIS API", function() {
         url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
         cmisRoot: '/cmis/root/',
         localRoot: 'local/root/',
+        registryFile: 'tmp/cmisregistry.json',
         username: 'adminusername',
         password: 'adminpassword'
     };
@@ -112,6 +115,7 @@ describe("CmisCopyTask with legacy CMIS API", function() {
         
         loadRepositoriesRequest = new CmisRequestMock();
         cmisSession.loadRepositories = jasmine.createSpy('loadRepositories').andReturn(loadRepositoriesRequest);
+        cmisSession.defaultRepository = {repositoryId: '-default-'};
         cmisSession.setCredentials = jasmine.createSpy('setCredentials');
         cmisSession.setGlobalHandlers = jasmine.createSpy('setGlobalHandlers');
         cmisSession.getObjectByPath = jasmine.createSpy('getObjectByPath').andCallFake(function(path) {
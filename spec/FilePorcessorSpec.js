@@ -6,12 +6,13 @@ var proxyquire = require('proxyquire');
 var cmisSession = {};
 var fileIOMock = {};
 var FilePorcessor = proxyquire('../js/FilePorcessor', {
-    './FileIO': {
-        create: function() {
-            return fileIOMock;
+    './FileActions': proxyquire('../js/FileActions', {
+        './FileIO': {
+            create: function() {
+                return fileIOMock;
+            }
         }
-    }
-
+    })
 });
 
 var CmisCopy = proxyquire('../js/CmisCopy', {
@@ -31,6 +32,7 @@ describe("CmisCopyTask with current CMIS API", function() {
         url: 'http://alfresco-mycompany.com/alfresco/cmisbrowser',
         cmisRoot: '/cmis/root/',
         localRoot: 'local/root/',
+        registryFile: 'tmp/cmisregistry.json',
         username: 'adminusername',
         password: 'adminpassword'
     };
@@ -155,6 +157,7 @@ describe("CmisCopyTask with current CMIS API", function() {
             getObjectByPathRequest = new CmisRequestMock();
             cmisSession.getObjectByPath = jasmine.createSpy('getObjectByPath').andReturn(getObjectByPathRequest);
             cmisSession.loadRepositories = jasmine.createSpy('loadRepositories').andReturn(loadRepositoriesRequest);
+            cmisSession.defaultRepository = {repositoryId: '-default-'};
             cmisSession.setCredentials = jasmine.createSpy('setCredentials');
             cmisSession.setGlobalHandlers = jasmine.createSpy('setGlobalHandlers');
 
@@ -289,6 +292,23 @@ describe("CmisCopyTask with current CMIS API", function() {
                 loadRepositoriesRequest.resolve();
             });
 
+            it('should skip excluded files and folders', function(done) {
+                var filterOptions = Object.create(options);
+                filterOptions.exclude = ['subFolder', 'pages/other.html'];
+
+                var cmisCopyTask = CmisCopy.create(filterOptions);
+                cmisCopyTask.runTask(function(err) {
+                    expect(err).toBeFalsy();
+                    expect(fileIOMock.downloadFile).toHaveBeenCalledWithCmisFileProperties('local/root', CmisFileProperties(indexFileCmisProps));
+                    expect(fileIOMock.downloadFile).toHaveBeenCalledWithCmisFileProperties('local/root/pages', CmisFileProperties(testFileCmisProps));
+                    expect(fileIOMock.downloadFile.calls.length).toEqual(2);
+                    expect(cmisSession.getChildren).not.toHaveBeenCalledWith('subFolderId');
+                    done();
+                });
+
+                loadRepositoriesRequest.resolve();
+            });
+
             it('should download all files in subfolder when path to subfolder is provided', function(done) {
                 var cmisCopyTask = CmisCopy.create(options, 'pages/subFolder');
                 cmisCopyTask.runTask(function(err) {
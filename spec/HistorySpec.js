@@ -0,0 +1,102 @@
+var grunt = require('grunt');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var History = require('../js/History');
+
+describe("History", function() {
+    var cmisSession;
+    var history;
+    var cmisFileProperties = CmisFileProperties({
+        succinctProperties: {
+            "cmis:name": "faq.html",
+            "cmis:objectId": 'faqId'
+        }
+    });
+
+    beforeEach(function() {
+        cmisSession = {};
+        history = History.create(cmisSession);
+    });
+
+    it("should get versions from browser binding", function(done) {
+        cmisSession.getAllVersions = jasmine.createSpy('getAllVersions').andReturn(new CmisRequestMock().resolve([{
+            succinctProperties: {
+                "cmis:versionLabel": "1.1",
+                "cmis:lastModifiedBy": "admin",
+                "cmis:lastModificationDate": 1400000000000,
+                "cmis:checkinComment": "fixed typo"
+            }
+        }, {
+            succinctProperties: {
+                "cmis:versionLabel": "1.0",
+                "cmis:lastModifiedBy": "editor",
+                "cmis:lastModificationDate": 1300000000000
+            }
+        }]));
+
+        history.getVersions(cmisFileProperties, function(err, versions) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.getAllVersions).toHaveBeenCalledWith('faqId');
+            expect(versions).toEqual([
+                {label: '1.1', author: 'admin', date: '2014-05-13T16:53:20.000Z', comment: 'fixed typo'},
+                {label: '1.0', author: 'editor', date: '2011-03-13T07:06:40.000Z', comment: ''}
+            ]);
+            done();
+        });
+    });
+
+    it("should get versions from legacy binding", function(done) {
+        cmisSession.getAllVersions = jasmine.createSpy('getAllVersions').andReturn(new CmisRequestMock().resolve([{
+            properties: {
+                "cmis:versionLabel": {value: "1.0"},
+                "cmis:lastModifiedBy": {value: "admin"},
+                "cmis:lastModificationDate": {value: 1400000000000},
+                "cmis:checkinComment": {value: "initial"}
+            }
+        }]));
+
+        history.getVersions(cmisFileProperties, function(err, versions) {
+            expect(versions).toEqual([{label: '1.0', author: 'admin', date: '2014-05-13T16:53:20.000Z', comment: 'initial'}]);
+            done();
+        });
+    });
+
+    it("should fail if versions can't be retrieved", function(done) {
+        cmisSession.getAllVersions = jasmine.createSpy('getAllVersions').andReturn(new CmisRequestMock().reject({statusCode: 404}));
+
+        history.getVersions(cmisFileProperties, function(err) {
+            expect(String(err)).toBe('failed to get versions of faq.html: not found in CMS - check the path (404)');
+            done();
+        });
+    });
+
+    describe("print()", function() {
+        var histories = {
+            'pages/faq.html': [{label: '1.1', author: 'admin', date: '2014-05-13T16:53:20.000Z', comment: 'fixed typo'}]
+        };
+
+        beforeEach(function() {
+            spyOn(console, 'log');
+            spyOn(grunt.log, 'ok');
+        });
+
+        it("should print label, author, date and comment of every version", function() {
+            History.print(histories);
+
+            expect(grunt.log.ok).toHaveBeenCalledWith('pages/faq.html');
+            expect(console.log).toHaveBeenCalledWith('  1.1      admin                2014-05-13T16:53:20.000Z fixed typo');
+        });
+
+        it("should print versions as JSON", function() {
+            History.print(histories, true);
+
+            expect(console.log).toHaveBeenCalledWith(JSON.stringify(histories, null, 2));
+        });
+
+        it("should write versions to JSON file", function() {
+            History.print(histories, 'tmp/history.json');
+
+            expect(grunt.file.readJSON('tmp/history.json')).toEqual(histories);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+var grunt = require('grunt');
+var PathFilter = require('../js/PathFilter');
+var VersionRegistry = require('../js/VersionRegistry');
+
+describe("PathFilter", function() {
+
+    var options;
+
+    beforeEach(function() {
+        grunt.file.delete('tmp/filter');
+        grunt.file.mkdir('tmp/filter');
+
+        options = {
+            cmisRoot: '/cmis/root/',
+            localRoot: 'tmp/filter'
+        };
+    });
+
+    it("should accept everything by default", function() {
+        var pathFilter = PathFilter.create(options);
+
+        expect(pathFilter.acceptsCmisPath('/cmis/root/pages/faq.html', false)).toBeTruthy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/pages', true)).toBeTruthy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/pages/faq.html', false)).toBeTruthy();
+    });
+
+    it("should skip documents matching exclude patterns", function() {
+        options.exclude = ['*.psd', 'pages/old.html'];
+        var pathFilter = PathFilter.create(options);
+
+        expect(pathFilter.acceptsCmisPath('/cmis/root/images/logo.psd', false)).toBeFalsy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/pages/old.html', false)).toBeFalsy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/old.html', false)).toBeTruthy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/logo.psd', false)).toBeFalsy();
+    });
+
+    it("should skip excluded folders with everything in them", function() {
+        options.exclude = 'drafts/**';
+        var pathFilter = PathFilter.create(options);
+
+        expect(pathFilter.acceptsCmisPath('/cmis/root/drafts', true)).toBeFalsy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/drafts/new/faq.html', false)).toBeFalsy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/pages/drafts', true)).toBeTruthy();
+    });
+
+    it("should only accept documents matching include patterns, but should accept all folders", function() {
+        options.include = ['**/*.html', '**/*.css'];
+        var pathFilter = PathFilter.create(options);
+
+        expect(pathFilter.acceptsCmisPath('/cmis/root/pages/faq.html', false)).toBeTruthy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/index.html', false)).toBeTruthy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/images/logo.png', false)).toBeFalsy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/images', true)).toBeTruthy();
+    });
+
+    it("should read exclude patterns from .cmiscopyignore in localRoot", function() {
+        grunt.file.write('tmp/filter/.cmiscopyignore', '# design sources\n*.psd\n\ndrafts\n');
+        var pathFilter = PathFilter.create(options);
+
+        expect(pathFilter.acceptsCmisPath('/cmis/root/logo.psd', false)).toBeFalsy();
+        expect(pathFilter.acceptsCmisPath('/cmis/root/pages/drafts', true)).toBeFalsy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/drafts/faq.html', false)).toBeFalsy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/.cmiscopyignore', false)).toBeFalsy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/faq.html', false)).toBeTruthy();
+    });
+
+    it("should skip copies saved beside local files, but not files named alike", function() {
+        grunt.file.write('tmp/filter/faq.html', 'faq');
+        grunt.file.write('tmp/filter/faq.remote.html', 'remote faq');
+        grunt.file.write('tmp/filter/faq.v1.4.html', 'faq 1.4');
+        grunt.file.write('tmp/filter/jquery.v1.11.js', 'jquery');
+        grunt.file.write('tmp/filter/api.remote.json', '{}');
+
+        var pathFilter = PathFilter.create(options);
+        expect(pathFilter.acceptsLocalPath('tmp/filter/faq.remote.html', false)).toBeFalsy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/faq.v1.4.html', false)).toBeFalsy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/jquery.v1.11.js', false)).toBeTruthy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/api.remote.json', false)).toBeTruthy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/notes.v3', false)).toBeTruthy();
+
+        // file deleted locally, still tracked
+        VersionRegistry.setVersion('aboutId', '1.2', 'tmp/filter/about.html');
+        expect(pathFilter.acceptsLocalPath('tmp/filter/about.v1.2.html', false)).toBeFalsy();
+    });
+
+    it("should skip version registry kept in localRoot", function() {
+        var pathFilter = PathFilter.create(options);
+        expect(pathFilter.acceptsLocalPath('tmp/filter/.cmisregistry.json', false)).toBeFalsy();
+
+        options.registryFile = 'tmp/filter/config/registry.json';
+        pathFilter = PathFilter.create(options);
+        expect(pathFilter.acceptsLocalPath('tmp/filter/config/registry.json', false)).toBeFalsy();
+        expect(pathFilter.acceptsLocalPath('tmp/filter/registry.json', false)).toBeTruthy();
+    });
+});
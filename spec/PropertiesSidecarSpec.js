@@ -0,0 +1,157 @@
+var fs = require('fs');
+var grunt = require('grunt');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var PropertiesSidecar = require('../js/PropertiesSidecar');
+var PathFilter = require('../js/PathFilter');
+var versionRegistry = require('../js/VersionRegistry');
+var RunReport = require('../js/RunReport');
+
+var options = {
+    localRoot: 'tmp',
+    registryFile: 'tmp/cmisregistry.json',
+    properties: ['cm:title', 'cm:description', 'my:keywords']
+};
+
+function createCmisFileProperties(title, versionLabel) {
+    return CmisFileProperties({
+        succinctProperties: {
+            "cmis:name": "faq.html",
+            "cmis:objectId": 'nodeId;' + versionLabel,
+            "cmis:contentStreamMimeType": 'text/html',
+            "cmis:versionLabel": versionLabel,
+            "alfcmis:nodeRef": 'nodeId',
+            "cm:title": title,
+            "my:keywords": ['help', 'faq'],
+            "cm:author": 'admin'
+        }
+    });
+}
+
+describe("PropertiesSidecar", function() {
+    var cmisSession;
+    var sidecar;
+
+    beforeEach(function() {
+        cmisSession = {
+            updateProperties: jasmine.createSpy('updateProperties').andCallFake(function() {
+                return new CmisRequestMock().resolve();
+            }),
+            getObject: jasmine.createSpy('getObject').andCallFake(function() {
+                return new CmisRequestMock().resolve({succinctProperties: {"cmis:versionLabel": '1.6'}});
+            })
+        };
+        sidecar = PropertiesSidecar.create(cmisSession, options);
+
+        grunt.file.write('tmp/faq.html', 'content');
+        versionRegistry.removeVersion('nodeId');
+        versionRegistry.setVersion("nodeId", "1.5", 'tmp/faq.html', new Buffer('content'));
+    });
+
+    afterEach(function() {
+        PropertiesSidecar.remove('tmp/faq.html');
+    });
+
+    it("should name sidecar file after the document", function() {
+        expect(PropertiesSidecar.getFile('tmp/pages/faq.html')).toBe('tmp/pages/.faq.html.properties.json');
+    });
+
+    it("should write listed properties of the document", function(done) {
+        sidecar.download('tmp', createCmisFileProperties('FAQ', '1.5'), function(err) {
+            expect(err).toBeFalsy();
+            expect(grunt.file.readJSON('tmp/.faq.html.properties.json')).toEqual({
+                'cm:title': 'FAQ',
+                'my:keywords': ['help', 'faq']
+            });
+            done();
+        });
+    });
+
+    it("should update properties edited locally", function(done) {
+        sidecar.download('tmp', createCmisFileProperties('FAQ', '1.5'), function() {
+            grunt.file.write('tmp/.faq.html.properties.json', JSON.stringify({
+                'cm:title': 'Questions',
+                'my:keywords': ['help', 'faq'],
+                'cm:author': 'me'
+            }));
+
+            sidecar.upload('tmp', createCmisFileProperties('FAQ', '1.5'), function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.updateProperties).toHaveBeenCalledWith('nodeId', {'cm:title': 'Questions'});
+                expect(versionRegistry.hasVersion('nodeId', '1.6')).toBeTruthy();
+                expect(versionRegistry.getProperties('nodeId')).toEqual({'cm:title': 'Questions', 'my:keywords': ['help', 'faq']});
+                done();
+            });
+        });
+    });
+
+    it("should not revert properties edited in CMS since download", function(done) {
+        sidecar.download('tmp', createCmisFileProperties('FAQ', '1.5'), function() {
+            sidecar.upload('tmp', createCmisFileProperties('Help', '1.5'), function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.updateProperties).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    it("should report conflict if property was edited locally and in CMS", function(done) {
+        spyOn(RunReport, 'skipped');
+
+        sidecar.download('tmp', createCmisFileProperties('FAQ', '1.5'), function() {
+            grunt.file.write('tmp/.faq.html.properties.json', JSON.stringify({'cm:title': 'Questions'}));
+
+            sidecar.upload('tmp', createCmisFileProperties('Help', '1.5'), function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.updateProperties).not.toHaveBeenCalled();
+                expect(RunReport.skipped).toHaveBeenCalledWith('tmp/.faq.html.properties.json', 'conflict: cm:title');
+                done();
+            });
+        });
+    });
+
+    it("should report conflict if sidecar file was not written by download", function(done) {
+        spyOn(RunReport, 'skipped');
+        grunt.file.write('tmp/.faq.html.properties.json', JSON.stringify({'cm:title': 'Questions'}));
+
+        sidecar.upload('tmp', createCmisFileProperties('FAQ', '1.5'), function(err) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.updateProperties).not.toHaveBeenCalled();
+            expect(RunReport.skipped).toHaveBeenCalledWith('tmp/.faq.html.properties.json', 'conflict: cm:title');
+            done();
+        });
+    });
+
+    it("should not update properties that didn't change", function(done) {
+        sidecar.download('tmp', createCmisFileProperties('FAQ', '1.5'), function() {
+            sidecar.upload('tmp', createCmisFileProperties('FAQ', '1.5'), function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.updateProperties).not.toHaveBeenCalled();
+                done();
+            });
+        });
+    });
+
+    it("should fail if sidecar file is not valid JSON", function(done) {
+        grunt.file.write('tmp/.faq.html.properties.json', '{"cm:title": ');
+
+        sidecar.upload('tmp', createCmisFileProperties('FAQ', '1.5'), function(err) {
+            expect(err).toMatch(/^invalid properties file tmp\/\.faq\.html\.properties\.json/);
+            expect(cmisSession.updateProperties).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should keep sidecar files out of CMS", function() {
+        expect(PathFilter.create(options).acceptsLocalPath('tmp/pages/.faq.html.properties.json', false)).toBe(false);
+        expect(PathFilter.create({localRoot: 'tmp'}).acceptsLocalPath('tmp/pages/.faq.html.properties.json', false)).toBe(true);
+    });
+
+    it("should delete sidecar file with the document", function() {
+        grunt.file.write('tmp/.faq.html.properties.json', '{}');
+
+        PropertiesSidecar.remove('tmp/faq.html');
+
+        expect(fs.existsSync('tmp/.faq.html.properties.json')).toBe(false);
+    });
+});
@@ -0,0 +1,195 @@
+var fs = require('fs');
+var grunt = require('grunt');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var CmisFileProperties = require('../js/CmisFileProperties');
+var versionRegistry = require('../js/VersionRegistry');
+var Pruner = require('../js/Pruner');
+
+function cmisDocument(name, version) {
+    return CmisFileProperties({
+        succinctProperties: {
+            'cmis:name': name,
+            'cmis:objectId': name + 'Id',
+            'cmis:baseTypeId': "cmis:document",
+            'cmis:versionLabel': version,
+            'alfcmis:nodeRef': name + 'NodeId'
+        }
+    });
+}
+
+function cmisFolder(name) {
+    return CmisFileProperties({
+        succinctProperties: {
+            'cmis:name': name,
+            'cmis:objectId': name + 'Id',
+            'cmis:baseTypeId': "cmis:folder"
+        }
+    });
+}
+
+describe("Pruner", function() {
+    var cmisSession;
+    var pruner;
+
+    beforeEach(function() {
+        cmisSession = {
+            deleteObject: jasmine.createSpy('deleteObject').andCallFake(function() {
+                return new CmisRequestMock().resolve();
+            })
+        };
+        pruner = Pruner.create(cmisSession, {});
+
+        grunt.file.delete('tmp/prune');
+    });
+
+    describe("pruneRemote()", function() {
+
+        // remote structure:
+        //
+        //  /cmis/root/
+        //          - index.html
+        //
+        //  /cmis/root/pages/
+        //              - old.html
+        //
+        // local structure:
+        //
+        //  tmp/prune/
+        //          - index.html
+
+        var remoteFiles;
+        var remoteFolders;
+
+        beforeEach(function() {
+            grunt.file.write('tmp/prune/index.html', 'index');
+
+            remoteFiles = {
+                'index.html': cmisDocument('index.html', '1.0'),
+                'pages/old.html': cmisDocument('old.html', '1.1')
+            };
+            remoteFolders = {
+                'pages': cmisFolder('pages')
+            };
+            versionRegistry.setVersion('old.htmlNodeId', '1.1');
+        });
+
+        it("should delete documents and folders that were deleted locally", function(done) {
+            pruner.pruneRemote('/cmis/root', 'tmp/prune', remoteFiles, remoteFolders, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.deleteObject).toHaveBeenCalledWith('old.htmlId', true);
+                expect(cmisSession.deleteObject).toHaveBeenCalledWith('pagesId');
+                expect(cmisSession.deleteObject.calls.length).toEqual(2);
+                expect(versionRegistry.hasVersion('old.htmlNodeId', '1.1')).toBeFalsy();
+                done();
+            });
+        });
+
+        it("should not delete documents if versions dont match", function(done) {
+            versionRegistry.setVersion('old.htmlNodeId', '1.0');
+            pruner.pruneRemote('/cmis/root', 'tmp/prune', remoteFiles, remoteFolders, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.deleteObject).not.toHaveBeenCalled();
+                done();
+            });
+        });
+
+        it("should not delete anything in dry run", function(done) {
+            pruner = Pruner.create(cmisSession, {dryRun: true});
+            pruner.pruneRemote('/cmis/root', 'tmp/prune', remoteFiles, remoteFolders, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.deleteObject).not.toHaveBeenCalled();
+                expect(versionRegistry.hasVersion('old.htmlNodeId', '1.1')).toBeTruthy();
+                done();
+            });
+        });
+
+        it("should not delete folders that exist locally", function(done) {
+            grunt.file.mkdir('tmp/prune/pages');
+            pruner.pruneRemote('/cmis/root', 'tmp/prune', remoteFiles, remoteFolders, function(err) {
+                expect(err).toBeFalsy();
+                expect(cmisSession.deleteObject).toHaveBeenCalledWith('old.htmlId', true);
+                expect(cmisSession.deleteObject.calls.length).toEqual(1);
+                done();
+            });
+        });
+    });
+
+    describe("pruneLocal()", function() {
+
+        // remote structure:
+        //
+        //  /cmis/root/
+        //          - index.html
+        //
+        // local structure:
+        //
+        //  tmp/prune/
+        //          - index.html
+        //
+        //  tmp/prune/pages/
+        //              - old.html (tracked)
+        //              - new.html (not tracked)
+        //
+        //  tmp/prune/images/
+        //              - old.png (tracked)
+
+        var remoteFiles;
+
+        beforeEach(function() {
+            grunt.file.write('tmp/prune/index.html', 'index');
+            grunt.file.write('tmp/prune/pages/old.html', 'old');
+            grunt.file.write('tmp/prune/pages/new.html', 'new');
+            grunt.file.write('tmp/prune/images/old.png', 'old');
+
+            remoteFiles = {
+                'index.html': cmisDocument('index.html', '1.0')
+            };
+            versionRegistry.setVersion('old.htmlNodeId', '1.1', 'tmp/prune/pages/old.html', new Buffer('old'));
+            versionRegistry.setVersion('old.pngNodeId', '1.0', 'tmp/prune/images/old.png', new Buffer('old'));
+        });
+
+        it("should delete tracked files and folders that were deleted in CMS", function(done) {
+            pruner.pruneLocal('tmp/prune', remoteFiles, {}, function(err) {
+                expect(err).toBeFalsy();
+                expect(fs.existsSync('tmp/prune/index.html')).toBeTruthy();
+                expect(fs.existsSync('tmp/prune/pages/old.html')).toBeFalsy();
+                expect(fs.existsSync('tmp/prune/images')).toBeFalsy();
+                expect(versionRegistry.getDocumentId('tmp/prune/pages/old.html')).toBeFalsy();
+                expect(versionRegistry.hasVersion('old.htmlNodeId', '1.1')).toBeFalsy();
+                done();
+            });
+        });
+
+        it("should not delete files that are not tracked", function(done) {
+            pruner.pruneLocal('tmp/prune', remoteFiles, {}, function(err) {
+                expect(err).toBeFalsy();
+                expect(fs.existsSync('tmp/prune/pages/new.html')).toBeTruthy();
+                done();
+            });
+        });
+
+        it("should not delete files modified locally", function(done) {
+            grunt.file.write('tmp/prune/pages/old.html', 'local change');
+
+            pruner.pruneLocal('tmp/prune', remoteFiles, {}, function(err) {
+                expect(err).toBeFalsy();
+                expect(grunt.file.read('tmp/prune/pages/old.html')).toBe('local change');
+                expect(versionRegistry.getDocumentId('tmp/prune/pages/old.html')).toBe('old.htmlNodeId');
+                expect(fs.existsSync('tmp/prune/images/old.png')).toBeFalsy();
+                done();
+            });
+        });
+
+        it("should not delete anything in dry run", function(done) {
+            pruner = Pruner.create(cmisSession, {dryRun: true});
+            pruner.pruneLocal('tmp/prune', remoteFiles, {}, function(err) {
+                expect(err).toBeFalsy();
+                expect(fs.existsSync('tmp/prune/pages/old.html')).toBeTruthy();
+                expect(fs.existsSync('tmp/prune/images/old.png')).toBeTruthy();
+                expect(versionRegistry.getDocumentId('tmp/prune/pages/old.html')).toBe('old.htmlNodeId');
+                done();
+            });
+        });
+    });
+
+});
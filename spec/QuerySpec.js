@@ -0,0 +1,104 @@
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+
+var documentFetcherStub = {
+    downloadDocument: function(cmisPath, localPath, documentId, callback) {
+        callback();
+    }
+};
+
+var Query = proxyquire('../js/Query', {
+    './DocumentFetcher': {
+        create: function() {
+            return documentFetcherStub;
+        }
+    }
+});
+
+var options = {
+    localRoot: 'tmp'
+};
+
+function result(objectId) {
+    return {succinctProperties: {"cmis:objectId": objectId, "cmis:name": objectId + '.html'}};
+}
+
+function parent(path, name) {
+    return [{object: {succinctProperties: {"cmis:path": path}}, relativePathSegment: name}];
+}
+
+describe("Query", function() {
+    var cmisSession;
+    var query;
+
+    beforeEach(function() {
+        var pages = [
+            {results: [result('faq'), result('about')], hasMoreItems: true},
+            {results: [result('news')], hasMoreItems: false}
+        ];
+        var parents = {
+            faq: parent('/cmis/root/pages', 'faq.html'),
+            about: parent('/cmis/root/pages/company', 'about.html'),
+            news: parent('/archive', 'news.html')
+        };
+        cmisSession = {
+            query: jasmine.createSpy('query').andCallFake(function() {
+                return new CmisRequestMock().resolve(pages.shift());
+            }),
+            getParents: jasmine.createSpy('getParents').andCallFake(function(objectId) {
+                return new CmisRequestMock().resolve(parents[objectId]);
+            })
+        };
+        query = Query.create(cmisSession, options);
+    });
+
+    it("should get all pages of results, with their paths", function(done) {
+        query.run("SELECT * FROM cmis:document", function(err, results) {
+            expect(err).toBeFalsy();
+            expect(cmisSession.query.calls.length).toBe(2);
+            expect(cmisSession.query.calls[1].args[2].skipCount).toBe(2);
+            expect(results.map(function(result) {
+                return result.path;
+            })).toEqual(['/cmis/root/pages/faq.html', '/cmis/root/pages/company/about.html', '/archive/news.html']);
+            expect(results[0].properties["cmis:name"]).toBe('faq.html');
+            done();
+        });
+    });
+
+    it("should fail if query doesn't select object id", function(done) {
+        cmisSession.query.andCallFake(function() {
+            return new CmisRequestMock().resolve({results: [{succinctProperties: {"cmis:name": 'faq.html'}}], hasMoreItems: false});
+        });
+
+        query.run("SELECT cmis:name FROM cmis:document", function(err) {
+            expect(err).toBe('query has to select cmis:objectId');
+            done();
+        });
+    });
+
+    it("should fail if results come from legacy binding", function(done) {
+        cmisSession.query.andCallFake(function() {
+            return new CmisRequestMock().resolve({results: [{properties: {"cmis:objectId": {value: 'faq'}}}], hasMoreItems: false});
+        });
+
+        query.run("SELECT * FROM cmis:document", function(err) {
+            expect(err).toBe(Query.BROWSER_BINDING_REQUIRED);
+            expect(cmisSession.getParents).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it("should download results in the folder only", function(done) {
+        spyOn(documentFetcherStub, 'downloadDocument').andCallThrough();
+
+        query.run("SELECT * FROM cmis:document", function(err, results) {
+            query.download('/cmis/root/pages', 'tmp/pages', results, function(err) {
+                expect(err).toBeFalsy();
+                expect(documentFetcherStub.downloadDocument.calls.length).toBe(2);
+                expect(documentFetcherStub.downloadDocument).toHaveBeenCalledWith('/cmis/root/pages', 'tmp/pages', 'faq', jasmine.any(Function));
+                expect(documentFetcherStub.downloadDocument).toHaveBeenCalledWith('/cmis/root/pages', 'tmp/pages', 'about', jasmine.any(Function));
+                done();
+            });
+        });
+    });
+});
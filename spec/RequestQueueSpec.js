@@ -0,0 +1,179 @@
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+var grunt = require('grunt');
+var RequestQueue = require('../js/RequestQueue');
+var Retry = require('../js/Retry');
+
+describe("RequestQueue", function() {
+
+    afterEach(function() {
+        RequestQueue.setConcurrency();
+    });
+
+    it("should not run more tasks than concurrency allows", function() {
+        var releases = [];
+        var task = jasmine.createSpy('task').andCallFake(function(release) {
+            releases.push(release);
+        });
+        RequestQueue.setConcurrency(2);
+
+        RequestQueue.push(task);
+        RequestQueue.push(task);
+        RequestQueue.push(task);
+        expect(task.calls.length).toEqual(2);
+
+        releases[0]();
+        expect(task.calls.length).toEqual(3);
+
+        // releasing twice should not free another slot
+        releases[0]();
+        RequestQueue.push(task);
+        expect(task.calls.length).toEqual(3);
+
+        releases[1]();
+        releases[2]();
+        releases[3]();
+    });
+
+    describe("queueSession()", function() {
+        var session;
+        var requests;
+        var queuedSession;
+
+        beforeEach(function() {
+            requests = [];
+            session = {
+                setCredentials: jasmine.createSpy('setCredentials'),
+                setGlobalHandlers: jasmine.createSpy('setGlobalHandlers'),
+                getObject: jasmine.createSpy('getObject').andCallFake(function() {
+                    var request = new CmisRequestMock();
+                    requests.push(request);
+                    return request;
+                })
+            };
+            queuedSession = RequestQueue.queueSession(session);
+            RequestQueue.setConcurrency(1);
+        });
+
+        it("should send requests one by one when concurrency is 1", function(done) {
+            queuedSession.getObject('firstId').ok(function(result) {
+                expect(result).toBe('first');
+                expect(session.getObject).toHaveBeenCalledWith('secondId');
+            });
+            queuedSession.getObject('secondId').notOk(function(response) {
+                expect(response.statusCode).toBe(404);
+                done();
+            });
+
+            expect(session.getObject).toHaveBeenCalledWith('firstId');
+            expect(session.getObject.calls.length).toEqual(1);
+
+            requests[0].resolve('first');
+            setTimeout(function() {
+                requests[1].reject({statusCode: 404});
+            }, 10);
+        });
+
+        it("should call global handler if request has no notOk callback", function(done) {
+            var globalNotOk = jasmine.createSpy('globalNotOk');
+            queuedSession.setGlobalHandlers(globalNotOk);
+            expect(session.setGlobalHandlers).toHaveBeenCalledWith(globalNotOk, jasmine.any(Function));
+
+            queuedSession.getObject('objectId').ok(function() {});
+            requests[0].reject({statusCode: 500});
+
+            setTimeout(function() {
+                expect(globalNotOk).toHaveBeenCalledWith({statusCode: 500});
+                done();
+            }, 10);
+        });
+
+        describe("retries", function() {
+
+            beforeEach(function() {
+                Retry.configure({retries: 2, retryDelay: 0});
+                spyOn(grunt.log, 'error');
+                session.createDocument = jasmine.createSpy('createDocument').andCallFake(function() {
+                    var request = new CmisRequestMock();
+                    requests.push(request);
+                    return request;
+                });
+                queuedSession = RequestQueue.queueSession(session);
+            });
+
+            afterEach(function() {
+                Retry.configure({});
+            });
+
+            it("should retry idempotent request failed with server error", function(done) {
+                queuedSession.getObject('objectId').ok(function(result) {
+                    expect(result).toBe('object');
+                    expect(session.getObject.calls.length).toEqual(2);
+                    expect(grunt.log.error).toHaveBeenCalledWith('request failed: 503 getObject objectId, retrying in 0 ms (1 of 2)');
+                    done();
+                });
+
+                requests[0].reject({statusCode: 503});
+                setTimeout(function() {
+                    requests[1].resolve('object');
+                }, 10);
+            });
+
+            it("should not retry request failed with client error", function(done) {
+                queuedSession.getObject('objectId').notOk(function(response) {
+                    expect(response.statusCode).toBe(404);
+                    expect(session.getObject.calls.length).toEqual(1);
+                    done();
+                });
+
+                requests[0].reject({statusCode: 404});
+            });
+
+            it("should not retry requests that are not idempotent", function(done) {
+                queuedSession.createDocument('parentId', 'content', 'faq.html').notOk(function(response) {
+                    expect(response.statusCode).toBe(503);
+                    expect(session.createDocument.calls.length).toEqual(1);
+                    done();
+                });
+
+                requests[0].reject({statusCode: 503});
+            });
+
+            it("should call error handler once retries of network error are used up", function(done) {
+                var globalError = jasmine.createSpy('globalError');
+                queuedSession.setGlobalHandlers(null, globalError);
+
+                queuedSession.getObject('objectId').error(function(err) {
+                    expect(err.message).toBe('ECONNRESET');
+                    expect(globalError).not.toHaveBeenCalled();
+                    expect(session.getObject.calls.length).toEqual(3);
+                    done();
+                });
+
+                requests[0].fail({message: 'ECONNRESET'});
+                setTimeout(function() {
+                    requests[1].fail({message: 'ECONNRESET'});
+                }, 10);
+                setTimeout(function() {
+                    requests[2].fail({message: 'ECONNRESET'});
+                }, 20);
+            });
+
+            it("should call global error handler for request without error handler", function(done) {
+                queuedSession.setGlobalHandlers(null, function(err) {
+                    expect(err.message).toBe('ECONNRESET');
+                    expect(session.createDocument.calls.length).toEqual(1);
+                    done();
+                });
+
+                queuedSession.createDocument('parentId', 'content', 'faq.html');
+                requests[0].fail({message: 'ECONNRESET'});
+            });
+        });
+
+        it("should not queue methods that don't send requests", function() {
+            queuedSession.setCredentials('user', 'password');
+            expect(session.setCredentials).toHaveBeenCalledWith('user', 'password');
+        });
+    });
+
+});
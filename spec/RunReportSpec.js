@@ -0,0 +1,55 @@
+var grunt = require('grunt');
+var RunReport = require('../js/RunReport');
+
+describe("RunReport", function() {
+
+    beforeEach(function() {
+        RunReport.reset();
+        spyOn(console, 'log');
+        spyOn(grunt.log, 'ok');
+        spyOn(grunt.log, 'error');
+    });
+
+    it("should pass error on, by default", function() {
+        var callback = jasmine.createSpy('callback');
+        RunReport.track('local/faq.html', {}, callback)('failed to upload');
+
+        expect(callback).toHaveBeenCalledWith('failed to upload');
+        expect(RunReport.getFailures()).toEqual(['failed to upload']);
+    });
+
+    it("should log error and continue, if failFast is false", function() {
+        var callback = jasmine.createSpy('callback');
+        RunReport.track('local/faq.html', {failFast: false}, callback)('failed to upload');
+
+        expect(callback).toHaveBeenCalledWith();
+        expect(grunt.log.error).toHaveBeenCalledWith('failed to upload');
+        expect(RunReport.getFailures()).toEqual(['failed to upload']);
+    });
+
+    it("should not count skipped file as succeeded", function() {
+        RunReport.skipped('local/faq.html', 'out of sync');
+        RunReport.track('local/faq.html', {}, function() {})();
+        RunReport.track('local/index.html', {}, function() {})();
+
+        expect(RunReport.print()).toBe(0);
+        expect(console.log).toHaveBeenCalledWith('  succeeded 1, skipped 1, failed 0');
+        expect(console.log).toHaveBeenCalledWith('  skipped local/faq.html - out of sync');
+    });
+
+    it("should print failed files, and return their number", function() {
+        RunReport.failed('local/faq.html', 'failed to upload local/faq.html');
+        RunReport.failed('local/index.html', 'failed to upload local/index.html');
+
+        expect(RunReport.print()).toBe(2);
+        expect(console.log).toHaveBeenCalledWith('  succeeded 0, skipped 0, failed 2');
+        expect(grunt.log.error).toHaveBeenCalledWith('failed local/faq.html - failed to upload local/faq.html');
+    });
+
+    it("should forget outcomes on reset", function() {
+        RunReport.failed('local/faq.html', 'failed to upload local/faq.html');
+        RunReport.reset();
+
+        expect(RunReport.getFailures()).toEqual([]);
+    });
+});
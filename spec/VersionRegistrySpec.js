@@ -0,0 +1,205 @@
+var os = require('os');
+var childProcess = require('child_process');
+var grunt = require('grunt');
+var versionRegistry = require('../js/VersionRegistry');
+
+describe("VersionRegistry", function() {
+
+    var options;
+
+    function loaded(err) {
+        expect(err).toBeFalsy();
+    }
+
+    beforeEach(function() {
+        grunt.file.delete('tmp/registry');
+        grunt.file.mkdir('tmp/registry');
+        spyOn(grunt.log, 'ok');
+
+        options = {
+            url: 'http://cms.mycompany.com/alfresco/cmisbrowser/',
+            localRoot: 'tmp/registry/'
+        };
+    });
+
+    it("should be kept in localRoot by default", function() {
+        expect(versionRegistry.getFile(options)).toBe('tmp/registry/.cmisregistry.json');
+
+        options.registryFile = 'config/registry.json';
+        expect(versionRegistry.getFile(options)).toBe('config/registry.json');
+    });
+
+    it("should keep entries by repository url and id", function() {
+        options.registryFile = 'tmp/registry/shared.json';
+        versionRegistry.load(options, 'repo1', loaded);
+        versionRegistry.setVersion('nodeId', '1.0', 'tmp/registry/faq.html');
+
+        versionRegistry.load(options, 'repo2', loaded);
+        expect(versionRegistry.isTracked('nodeId')).toBeFalsy();
+        versionRegistry.setVersion('nodeId', '2.0');
+        versionRegistry.save();
+
+        var content = grunt.file.readJSON('tmp/registry/shared.json');
+        var repo1 = content.repositories['http://cms.mycompany.com/alfresco/cmisbrowser#repo1'];
+        var repo2 = content.repositories['http://cms.mycompany.com/alfresco/cmisbrowser#repo2'];
+        expect(repo1.nodeId).toBe('1.0');
+        expect(repo1.paths['tmp/registry/faq.html']).toBe('nodeId');
+        expect(repo2.nodeId).toBe('2.0');
+
+        versionRegistry.load(options, 'repo1', loaded);
+        expect(versionRegistry.hasVersion('nodeId', '1.0')).toBeTruthy();
+    });
+
+    it("should keep registries of different tasks loaded at once", function() {
+        versionRegistry.load(options, 'repo1', loaded);
+        versionRegistry.setVersion('nodeId', '1.0');
+
+        var otherOptions = {url: 'http://cms.other.com/alfresco/cmisbrowser', localRoot: 'tmp/registry/other'};
+        versionRegistry.load(otherOptions, 'repo1', loaded);
+        versionRegistry.setVersion('otherNodeId', '3.0');
+        versionRegistry.save();
+
+        expect(grunt.file.readJSON('tmp/registry/.cmisregistry.json').repositories['http://cms.mycompany.com/alfresco/cmisbrowser#repo1'].nodeId).toBe('1.0');
+        expect(grunt.file.readJSON('tmp/registry/other/.cmisregistry.json').repositories['http://cms.other.com/alfresco/cmisbrowser#repo1'].otherNodeId).toBe('3.0');
+    });
+
+    it("should migrate registry without repositories to repository being loaded", function() {
+        options.registryFile = 'tmp/registry/flat.json';
+        grunt.file.write('tmp/registry/flat.json', JSON.stringify({
+            nodeId: '1.2',
+            workingCopies: {nodeId: 'workingCopyId'},
+            paths: {'tmp/registry/faq.html': 'nodeId'}
+        }));
+
+        versionRegistry.load(options, 'repo1', loaded);
+        expect(versionRegistry.hasVersion('nodeId', '1.2')).toBeTruthy();
+        expect(versionRegistry.getWorkingCopy('nodeId')).toBe('workingCopyId');
+        expect(versionRegistry.getDocumentId('tmp/registry/faq.html')).toBe('nodeId');
+        expect(grunt.log.ok).toHaveBeenCalledWith('Migrated version registry', 'tmp/registry/flat.json', 'to', 'tmp/registry/flat.json');
+
+        versionRegistry.save();
+        var content = grunt.file.readJSON('tmp/registry/flat.json');
+        expect(content.nodeId).toBeUndefined();
+        expect(content.repositories['http://cms.mycompany.com/alfresco/cmisbrowser#repo1'].nodeId).toBe('1.2');
+    });
+
+    it("should not write migrated registry, or lock it, in dry run", function() {
+        options.registryFile = 'tmp/registry/flat-dry-run.json';
+        options.dryRun = true;
+        grunt.file.write('tmp/registry/flat-dry-run.json', JSON.stringify({nodeId: '1.2'}));
+
+        versionRegistry.load(options, 'repo1', loaded);
+        expect(versionRegistry.hasVersion('nodeId', '1.2')).toBeTruthy();
+
+        versionRegistry.save();
+        expect(grunt.file.readJSON('tmp/registry/flat-dry-run.json')).toEqual({nodeId: '1.2'});
+        expect(grunt.file.exists('tmp/registry/flat-dry-run.json.lock')).toBeFalsy();
+    });
+
+    describe("with document properties", function() {
+        var CmisFileProperties = require('../js/CmisFileProperties');
+
+        function createCmisFileProperties(version, lastModificationDate) {
+            return CmisFileProperties({
+                succinctProperties: {
+                    "cmis:versionLabel": version,
+                    "cmis:contentStreamLength": 7,
+                    "cmis:lastModificationDate": lastModificationDate,
+                    "alfcmis:nodeRef": 'nodeId'
+                }
+            });
+        }
+
+        beforeEach(function() {
+            grunt.file.write('tmp/registry/faq.html', 'content');
+            versionRegistry.setVersion('nodeId', '1.0', 'tmp/registry/faq.html', new Buffer('content'), createCmisFileProperties('1.0', 1400000000000));
+        });
+
+        it("should tell that neither document nor local file changed", function() {
+            expect(versionRegistry.isUnchanged(createCmisFileProperties('1.0', 1400000000000), 'tmp/registry/faq.html')).toBeTruthy();
+        });
+
+        it("should tell that document changed", function() {
+            expect(versionRegistry.isRemoteUnchanged(createCmisFileProperties('1.1', 1400000000000))).toBeFalsy();
+            expect(versionRegistry.isRemoteUnchanged(createCmisFileProperties('1.0', 1500000000000))).toBeFalsy();
+        });
+
+        it("should tell that local file changed", function() {
+            grunt.file.write('tmp/registry/faq.html', 'new content');
+            expect(versionRegistry.isLocalUnchanged('nodeId', 'tmp/registry/faq.html')).toBeFalsy();
+        });
+
+        it("should not tell document is unchanged if repository doesn't return modification date", function() {
+            versionRegistry.setVersion('nodeId', '1.0', 'tmp/registry/faq.html', new Buffer('content'), createCmisFileProperties('1.0'));
+            expect(versionRegistry.isRemoteUnchanged(createCmisFileProperties('1.0'))).toBeFalsy();
+        });
+    });
+
+    it("should replace registry file, without leaving temp file", function() {
+        options.registryFile = 'tmp/registry/atomic.json';
+        grunt.file.write('tmp/registry/atomic.json', JSON.stringify({repositories: {}}));
+        versionRegistry.load(options, 'repo1', loaded);
+        versionRegistry.setVersion('nodeId', '1.0');
+        versionRegistry.save();
+
+        expect(grunt.file.readJSON('tmp/registry/atomic.json').repositories['http://cms.mycompany.com/alfresco/cmisbrowser#repo1'].nodeId).toBe('1.0');
+        expect(grunt.file.exists('tmp/registry/atomic.json.tmp')).toBeFalsy();
+    });
+
+    it("should write changes shortly after they are made", function(done) {
+        options.registryFile = 'tmp/registry/flushed.json';
+        versionRegistry.load(options, 'repo1', loaded);
+        versionRegistry.setVersion('nodeId', '1.0');
+        expect(grunt.file.exists('tmp/registry/flushed.json')).toBeFalsy();
+
+        setTimeout(function() {
+            expect(grunt.file.readJSON('tmp/registry/flushed.json').repositories['http://cms.mycompany.com/alfresco/cmisbrowser#repo1'].nodeId).toBe('1.0');
+            done();
+        }, 1200);
+    });
+
+    it("should lock registry file", function() {
+        options.registryFile = 'tmp/registry/locked.json';
+        versionRegistry.load(options, 'repo1', loaded);
+
+        expect(grunt.file.read('tmp/registry/locked.json.lock')).toBe(process.pid + '@' + os.hostname());
+    });
+
+    it("should fail if registry file is locked by another run", function() {
+        options.registryFile = 'tmp/registry/other-run.json';
+        // parent process is running
+        grunt.file.write('tmp/registry/other-run.json.lock', process.ppid + '@' + os.hostname());
+
+        var callback = jasmine.createSpy('callback');
+        versionRegistry.load(options, 'repo1', callback);
+
+        expect(callback).toHaveBeenCalledWith('version registry tmp/registry/other-run.json is used by another run (' + process.ppid + '@' + os.hostname() +
+            '). Remove tmp/registry/other-run.json.lock if it is not running');
+    });
+
+    it("should read registry locked by another run, without locking it or creating its folder", function() {
+        options.registryFile = 'tmp/registry/read-only/registry.json';
+        grunt.file.write('tmp/registry/other-run.json.lock', process.ppid + '@' + os.hostname());
+
+        var callback = jasmine.createSpy('callback');
+        versionRegistry.read(options, 'repo1', callback);
+        expect(callback).toHaveBeenCalledWith();
+        expect(grunt.file.exists('tmp/registry/read-only')).toBeFalsy();
+
+        options.registryFile = 'tmp/registry/other-run.json';
+        versionRegistry.read(options, 'repo1', callback);
+        expect(callback.calls.length).toBe(2);
+        expect(callback.mostRecentCall.args).toEqual([]);
+        expect(grunt.file.read('tmp/registry/other-run.json.lock')).toBe(process.ppid + '@' + os.hostname());
+    });
+
+    it("should take over lock left by a run that is not running", function() {
+        options.registryFile = 'tmp/registry/stale.json';
+        var finishedPid = childProcess.spawnSync('node', ['-e', '0']).pid;
+        grunt.file.write('tmp/registry/stale.json.lock', finishedPid + '@' + os.hostname());
+
+        versionRegistry.load(options, 'repo1', loaded);
+
+        expect(grunt.file.read('tmp/registry/stale.json.lock')).toBe(process.pid + '@' + os.hostname());
+    });
+});
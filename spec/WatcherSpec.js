@@ -0,0 +1,132 @@
+var grunt = require('grunt');
+var proxyquire = require('proxyquire');
+var CmisRequestMock = require('./stubs').CmisRequestMock;
+
+describe("Watcher", function() {
+
+    // local file structure:
+    //
+    //  tmp/watch/
+    //          - index.html
+    //
+    //  tmp/watch/pages/
+    //              - faq.html
+
+    var cmisSession;
+    var fileProcessor;
+    var createFileProcessor;
+    var watcher;
+    var Watcher;
+
+    beforeEach(function() {
+        grunt.file.delete('tmp/watch');
+        grunt.file.write('tmp/watch/index.html', 'index');
+        grunt.file.write('tmp/watch/pages/faq.html', 'faq');
+
+        cmisSession = {
+            setGlobalHandlers: jasmine.createSpy('setGlobalHandlers'),
+            getObjectByPath: jasmine.createSpy('getObjectByPath').andCallFake(function() {
+                return new CmisRequestMock().resolve({succinctProperties: {}});
+            })
+        };
+
+        fileProcessor = {
+            process: jasmine.createSpy('process').andCallFake(function(object, callback) {
+                callback();
+            })
+        };
+        createFileProcessor = jasmine.createSpy('createFileProcessor').andReturn(fileProcessor);
+
+        Watcher = proxyquire('../js/Watcher', {
+            './FilePorcessor': createFileProcessor,
+            './VersionRegistry': {save: function() {}}
+        });
+    });
+
+    afterEach(function() {
+        watcher.stop();
+    });
+
+    it("should upload changed file", function(done) {
+        watcher = Watcher.create(cmisSession, {debounce: 50}, '/cmis/root', 'tmp/watch');
+        watcher.start();
+
+        grunt.file.write('tmp/watch/pages/faq.html', 'new faq');
+
+        setTimeout(function() {
+            expect(cmisSession.getObjectByPath).toHaveBeenCalledWith('/cmis/root/pages/faq.html');
+            expect(createFileProcessor).toHaveBeenCalledWith(cmisSession, jasmine.any(Object), '/cmis/root/pages/faq.html', 'tmp/watch/pages/faq.html', 'upload');
+            expect(fileProcessor.process.calls.length).toEqual(1);
+            done();
+        }, 300);
+    });
+
+    it("should upload file once if it is saved several times in a row", function(done) {
+        watcher = Watcher.create(cmisSession, {debounce: 100}, '/cmis/root', 'tmp/watch');
+        watcher.start();
+
+        grunt.file.write('tmp/watch/index.html', 'index 1');
+        setTimeout(function() {
+            grunt.file.write('tmp/watch/index.html', 'index 2');
+        }, 20);
+
+        setTimeout(function() {
+            expect(cmisSession.getObjectByPath).toHaveBeenCalledWith('/cmis/root/index.html');
+            expect(fileProcessor.process.calls.length).toEqual(1);
+            done();
+        }, 400);
+    });
+
+    it("should only upload watched file if path to file is provided", function(done) {
+        watcher = Watcher.create(cmisSession, {debounce: 50}, '/cmis/root/index.html', 'tmp/watch/index.html');
+        watcher.start();
+
+        grunt.file.write('tmp/watch/other.html', 'other');
+        grunt.file.write('tmp/watch/index.html', 'new index');
+
+        setTimeout(function() {
+            expect(cmisSession.getObjectByPath).toHaveBeenCalledWith('/cmis/root/index.html');
+            expect(cmisSession.getObjectByPath.calls.length).toEqual(1);
+            done();
+        }, 300);
+    });
+
+    it("should skip new files unless create option is set", function(done) {
+        cmisSession.getObjectByPath = jasmine.createSpy('getObjectByPath').andCallFake(function() {
+            return new CmisRequestMock().reject({statusCode: 404});
+        });
+        watcher = Watcher.create(cmisSession, {debounce: 50}, '/cmis/root', 'tmp/watch');
+        watcher.start();
+
+        grunt.file.write('tmp/watch/new.html', 'new');
+
+        setTimeout(function() {
+            expect(cmisSession.getObjectByPath).toHaveBeenCalledWith('/cmis/root/new.html');
+            expect(fileProcessor.process).not.toHaveBeenCalled();
+            done();
+        }, 300);
+    });
+
+    it("should not upload copies of CMS content saved by sync", function(done) {
+        watcher = Watcher.create(cmisSession, {debounce: 50}, '/cmis/root', 'tmp/watch');
+        watcher.start();
+
+        grunt.file.write('tmp/watch/index.remote.html', 'remote index');
+
+        setTimeout(function() {
+            expect(cmisSession.getObjectByPath).not.toHaveBeenCalled();
+            done();
+        }, 300);
+    });
+
+    it("should sync watched folder periodically if poll option is set", function(done) {
+        watcher = Watcher.create(cmisSession, {poll: 0.1}, '/cmis/root', 'tmp/watch');
+        watcher.start();
+
+        setTimeout(function() {
+            expect(createFileProcessor).toHaveBeenCalledWith(cmisSession, jasmine.any(Object), '/cmis/root', 'tmp/watch', 'sync');
+            done();
+        }, 250);
+    });
+
+});
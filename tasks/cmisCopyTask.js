@@ -13,11 +13,76 @@ module.exports = function(grunt) {
     var CmisCopy = require('../js/CmisCopy');
     var fs = require('fs');
 
-    grunt.registerTask('cmiscopy', 'copy files and folders to and from CMS', function(specificPath, action) {
+    grunt.registerTask('cmiscopy', 'copy files and folders to and from CMS', function(specificPath, action, flag) {
         
 
         var options = this.options();
         
+        // checkin options provided on command line: --comment="my comment" --major
+        if (grunt.option('comment') != null) {
+            options.comment = String(grunt.option('comment'));
+        }
+        if (grunt.option('major') != null) {
+            options.major = grunt.option('major') === true;
+        }
+        // upload option: --create
+        if (grunt.option('create') != null) {
+            options.create = grunt.option('create') === true;
+        }
+        // download version option: --in-place
+        if (grunt.option('in-place') != null) {
+            options.inPlace = grunt.option('in-place') === true;
+        }
+        // upload and download option: --prune
+        if (grunt.option('prune') != null) {
+            options.prune = grunt.option('prune') === true;
+        }
+        // upload and download flag: cmiscopy:path:action:dry
+        // download and revert flag: cmiscopy:path:action:1.4 (version label)
+        // query flag: cmiscopy:path:query:download
+        if (flag === 'dry') {
+            options.dryRun = true;
+        } else if (flag === 'download') {
+            options.downloadResults = true;
+        } else if (/^\d+(\.\d+)*$/.test(flag)) {
+            options.version = flag;
+        } else if (flag != null) {
+            grunt.fail.warn('Invalid flag: ' + flag);
+            return;
+        }
+        // watch option: --poll=60 (seconds)
+        if (grunt.option('poll') != null) {
+            options.poll = Number(grunt.option('poll'));
+        }
+        // retry failed requests: --retries=3
+        if (grunt.option('retries') != null) {
+            options.retries = Number(grunt.option('retries'));
+        }
+        // authentication provider: --auth=ticket
+        if (grunt.option('auth') != null) {
+            options.auth = String(grunt.option('auth'));
+        }
+        // maximum number of requests in flight: --concurrency=4
+        if (grunt.option('concurrency') != null) {
+            options.concurrency = Number(grunt.option('concurrency'));
+        }
+        // query statement: --q="SELECT * FROM cmis:document WHERE ..."
+        if (grunt.option('q') != null) {
+            options.query = String(grunt.option('q'));
+        }
+        // history and query output for scripts: --json, or --json=history.json
+        if (grunt.option('json') != null) {
+            options.json = grunt.option('json');
+        }
+        // download every document, without using change log: --no-change-log
+        if (grunt.option('change-log') != null) {
+            options.changeLog = grunt.option('change-log') === true;
+        }
+        // keep going when a file fails: --no-fail-fast
+        if (grunt.option('fail-fast') != null) {
+            options.failFast = grunt.option('fail-fast') === true;
+        }
+        
         // output configured local root directory
         if(action === 'localRoot'){
             console.log('localroot: ' + fs.realpathSync(options.localRoot));
@@ -33,6 +98,10 @@ module.exports = function(grunt) {
                 grunt.log.error();
                 grunt.log.error(err);
             }
+            if (err && err.exitCode) {
+                // exit code tells what kind of CMS failure it was
+                grunt.fail.warn('cmiscopy failed: ' + err.type, err.exitCode);
+            }
             done(err == null);
         });
     });